@@ -4,7 +4,12 @@ import path from 'path';
 import fs from 'fs';
 import winston from 'winston';
 import { fileURLToPath } from 'url';
-import { User } from './db/models.js';
+import { Question, User, GameMode, QuestionStats } from './db/models.js';
+import { loadQuestionPool, RESERVED_MODE_IDS } from './game.js';
+import { getCategory, parseCategories } from './categories.js';
+import { getQuestionType } from './question-types.js';
+import { MEDIA_TYPES, MAX_MEDIA_BYTES, describeMedia, storeMedia, toPublicMedia } from './media.js';
+import { getMediaStorage } from './media-storage.js';
 import dotenv from 'dotenv';
 
 dotenv.config();
@@ -542,34 +547,176 @@ router.get('/api/users', authenticateAdmin, (req, res) => {
     });
 });
 
-router.get('/api/questions', authenticateAdmin, (req, res) => {
-    // This would fetch real question data from the database
-    res.json({
-        success: true,
-        questions: [
-            {
-                id: '1',
-                question: 'What is the capital of France?',
-                category: 'Geography',
-                difficulty: 'easy',
-                usageCount: 42
-            },
-            {
-                id: '2',
-                question: 'Which element has the chemical symbol Au?',
-                category: 'Science',
-                difficulty: 'medium',
-                usageCount: 28
-            },
-            {
-                id: '3',
-                question: 'What is the time complexity of quicksort in worst case?',
-                category: 'Technology',
-                difficulty: 'hard',
-                usageCount: 15
-            }
-        ]
+// Fields an admin may set on a question
+const QUESTION_FIELDS = ['question', 'type', 'options', 'answer', 'tolerance', 'category', 'difficulty', 'explanation', 'hint', 'sourceUrl', 'media', 'translations'];
+
+function pickQuestionFields(body) {
+    return Object.fromEntries(
+        Object.entries(body).filter(([key]) => QUESTION_FIELDS.includes(key))
+    );
+}
+
+// Turn the media key an admin sends (or null to detach) into the reference
+// stored on the question. Returns an error message if the key is unusable.
+async function resolveQuestionMedia(fields) {
+    if (fields.media === undefined) return null;
+    if (fields.media === null) {
+        fields.media = undefined;
+        return null;
+    }
+
+    const media = describeMedia(typeof fields.media === 'object' ? fields.media.key : fields.media);
+    if (!media || !(await getMediaStorage().exists(media.key))) {
+        return 'media must be the key of an uploaded file';
+    }
+
+    fields.media = media;
+    return null;
+}
+
+// Next free id in the q1, q2, ... sequence shared by MongoDB and the JSON bank
+function nextQuestionId(questions) {
+    const numbers = questions.map(q => Number(/^q(\d+)$/.exec(q.id)?.[1] || 0));
+    return `q${Math.max(0, ...numbers) + 1}`;
+}
+
+const parseMediaUpload = express.raw({
+    type: Object.keys(MEDIA_TYPES),
+    limit: Math.max(...Object.values(MAX_MEDIA_BYTES))
+});
+
+// Upload an image or audio clip as the raw request body, with its
+// Content-Type header. Attach it to a question by passing the returned key as
+// the question's media.
+router.post('/api/media', authenticateAdmin, (req, res, next) => {
+    parseMediaUpload(req, res, error => {
+        if (error) {
+            return res.status(error.status || 400).json({ message: error.type === 'entity.too.large' ? 'Upload is too large' : 'Could not read upload' });
+        }
+        next();
     });
+}, async (req, res) => {
+    try {
+        const contentType = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+        const result = await storeMedia(req.body, contentType);
+        if (result.error) {
+            return res.status(MEDIA_TYPES[contentType] ? 400 : 415).json({ message: result.error });
+        }
+
+        logger.info(`Media ${result.key} uploaded by ${req.admin.username}`);
+        res.status(201).json({ success: true, media: { ...result, url: toPublicMedia(result).url } });
+    } catch (error) {
+        logger.error('Error uploading media:', error);
+        res.status(500).json({ message: 'Server error uploading media' });
+    }
+});
+
+// List questions with how often each has been answered, optionally filtered
+// by category and difficulty
+router.get('/api/questions', authenticateAdmin, async (req, res) => {
+    try {
+        const { category, difficulty } = req.query;
+        const questions = (await loadQuestionPool()).filter(q =>
+            (!category || getCategory(q) === category) &&
+            (!difficulty || (q.difficulty || 'medium') === difficulty)
+        );
+
+        const stats = await QuestionStats.find({ questionId: { $in: questions.map(q => q.id) } }).lean();
+        const usage = new Map(stats.map(entry => [entry.questionId, entry.timesAnswered]));
+
+        res.json({
+            success: true,
+            total: questions.length,
+            questions: questions.map(q => ({
+                id: q.id,
+                question: q.question,
+                type: getQuestionType(q),
+                options: q.options || [],
+                answer: q.answer,
+                ...(getQuestionType(q) === 'numeric' ? { tolerance: q.tolerance || 0 } : {}),
+                category: getCategory(q),
+                difficulty: q.difficulty || 'medium',
+                explanation: q.explanation || null,
+                hint: q.hint || null,
+                sourceUrl: q.sourceUrl || null,
+                media: toPublicMedia(q.media),
+                usageCount: usage.get(q.id) || 0
+            }))
+        });
+    } catch (error) {
+        logger.error('Error fetching questions:', error);
+        res.status(500).json({ message: 'Server error fetching questions' });
+    }
+});
+
+// Add a question to the bank
+router.post('/api/questions', authenticateAdmin, async (req, res) => {
+    try {
+        const fields = pickQuestionFields(req.body);
+        if (fields.category !== undefined && parseCategories(fields.category)?.length !== 1) {
+            return res.status(400).json({ message: 'category must be one of the known categories' });
+        }
+
+        const mediaError = await resolveQuestionMedia(fields);
+        if (mediaError) {
+            return res.status(400).json({ message: mediaError });
+        }
+
+        const pool = await loadQuestionPool();
+        const id = req.body.id || nextQuestionId(pool);
+        if (pool.some(q => q.id === id)) {
+            return res.status(409).json({ message: 'A question with this id already exists' });
+        }
+
+        const question = new Question({ id, ...fields });
+        await question.save();
+
+        logger.info(`Question ${question.id} created by ${req.admin.username}`);
+        res.status(201).json({ success: true, question });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ message: error.message });
+        }
+        logger.error('Error creating question:', error);
+        res.status(500).json({ message: 'Server error creating question' });
+    }
+});
+
+// Edit a question. Questions only in the JSON bank are copied into MongoDB,
+// which takes precedence from then on. Games already started keep their copy.
+router.patch('/api/questions/:id', authenticateAdmin, async (req, res) => {
+    try {
+        const fields = pickQuestionFields(req.body);
+        if (fields.category !== undefined && parseCategories(fields.category)?.length !== 1) {
+            return res.status(400).json({ message: 'category must be one of the known categories' });
+        }
+
+        const mediaError = await resolveQuestionMedia(fields);
+        if (mediaError) {
+            return res.status(400).json({ message: mediaError });
+        }
+
+        let question = await Question.findOne({ id: req.params.id });
+        if (!question) {
+            const original = (await loadQuestionPool()).find(q => q.id === req.params.id);
+            if (!original) {
+                return res.status(404).json({ message: 'Question not found' });
+            }
+            question = new Question(original);
+        }
+
+        question.set(fields);
+        await question.save();
+
+        logger.info(`Question ${question.id} updated by ${req.admin.username}`);
+        res.json({ success: true, question });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ message: error.message });
+        }
+        logger.error('Error updating question:', error);
+        res.status(500).json({ message: 'Server error updating question' });
+    }
 });
 
 router.get('/api/leaderboard', authenticateAdmin, (req, res) => {
@@ -602,6 +749,79 @@ router.get('/api/leaderboard', authenticateAdmin, (req, res) => {
     });
 });
 
+// Fields an admin may set on a game mode
+const GAME_MODE_FIELDS = ['name', 'description', 'questionCount', 'prizeLadder', 'timeLimits', 'safeHavens', 'difficultyMix', 'isActive'];
+
+function pickGameModeFields(body) {
+    return Object.fromEntries(
+        Object.entries(body).filter(([key]) => GAME_MODE_FIELDS.includes(key))
+    );
+}
+
+// List all game modes, including inactive ones
+router.get('/api/modes', authenticateAdmin, async (req, res) => {
+    try {
+        const modes = await GameMode.find({}).sort({ createdAt: 1 });
+        res.json({ success: true, modes });
+    } catch (error) {
+        logger.error('Error fetching game modes:', error);
+        res.status(500).json({ message: 'Server error fetching game modes' });
+    }
+});
+
+// Create a game mode
+router.post('/api/modes', authenticateAdmin, async (req, res) => {
+    try {
+        const { modeId } = req.body;
+        if (!modeId) {
+            return res.status(400).json({ message: 'modeId is required' });
+        }
+        if (RESERVED_MODE_IDS.includes(String(modeId).toLowerCase())) {
+            return res.status(400).json({ message: `modeId cannot be one of ${RESERVED_MODE_IDS.join(', ')}` });
+        }
+
+        const existing = await GameMode.findOne({ modeId: String(modeId).toLowerCase() });
+        if (existing) {
+            return res.status(409).json({ message: 'A game mode with this modeId already exists' });
+        }
+
+        const mode = new GameMode({ modeId, ...pickGameModeFields(req.body) });
+        await mode.save();
+
+        logger.info(`Game mode ${mode.modeId} created by ${req.admin.username}`);
+        res.status(201).json({ success: true, mode });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ message: error.message });
+        }
+        logger.error('Error creating game mode:', error);
+        res.status(500).json({ message: 'Server error creating game mode' });
+    }
+});
+
+// Edit a game mode; games already started keep the ladder they began with
+router.patch('/api/modes/:modeId', authenticateAdmin, async (req, res) => {
+    try {
+        const mode = await GameMode.findOne({ modeId: req.params.modeId.toLowerCase() });
+        if (!mode) {
+            return res.status(404).json({ message: 'Game mode not found' });
+        }
+
+        mode.set(pickGameModeFields(req.body));
+        mode.updatedAt = new Date();
+        await mode.save();
+
+        logger.info(`Game mode ${mode.modeId} updated by ${req.admin.username}`);
+        res.json({ success: true, mode });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ message: error.message });
+        }
+        logger.error('Error updating game mode:', error);
+        res.status(500).json({ message: 'Server error updating game mode' });
+    }
+});
+
 router.get('/api/status', authenticateAdmin, (req, res) => {
     // This would return real system status information
     res.json({
@@ -5,6 +5,7 @@ import nodemailer from 'nodemailer';
 import dotenv from 'dotenv';
 import winston from 'winston';
 import { User } from './db/models.js';
+import { t } from './i18n.js';
 
 dotenv.config();
 
@@ -68,19 +69,19 @@ router.post('/register/', async (req, res) => {
 
     // Validate input
     if (!username || !email || !password) {
-      return res.status(400).json({ message: 'Please provide all required fields' });
+      return res.status(400).json({ message: t(req, 'auth.missingFields') });
     }
 
     // Check if email already exists
     const existingEmail = await User.findOne({ email });
     if (existingEmail) {
-      return res.status(400).json({ message: 'Email already registered' });
+      return res.status(400).json({ message: t(req, 'auth.emailTaken') });
     }
 
     // Check if username already exists
     const existingUsername = await User.findOne({ username });
     if (existingUsername) {
-      return res.status(400).json({ message: 'Username already taken' });
+      return res.status(400).json({ message: t(req, 'auth.usernameTaken') });
     }
 
     // Generate verification code (for future use)
@@ -139,8 +140,8 @@ router.post('/register/', async (req, res) => {
 
     res.status(201).json({
       message: emailSent 
-        ? 'Registration successful. Please check your email for verification code.'
-        : 'Registration successful. Email not configured - use verification code below.',
+        ? t(req, 'auth.registered')
+        : t(req, 'auth.registeredNoEmail'),
       user: {
         id: newUser._id,
         username: newUser.username,
@@ -149,11 +150,11 @@ router.post('/register/', async (req, res) => {
       },
       // Include verification code in response when email is not sent
       ...(emailSent ? {} : { verificationCode: verification_code, 
-          developmentNote: 'Email not configured. Use this code for verification.' })
+          developmentNote: t(req, 'auth.emailNotConfigured') })
     });
   } catch (error) {
     logger.error('Registration error:', error);
-    res.status(500).json({ message: 'Server error during registration' });
+    res.status(500).json({ message: t(req, 'auth.registrationError') });
   }
 });
 
@@ -164,23 +165,23 @@ router.post('/verify-email/', async (req, res) => {
 
     // Validate input
     if (!email || !code) {
-      return res.status(400).json({ message: 'Please provide email and verification code' });
+      return res.status(400).json({ message: t(req, 'auth.missingVerification') });
     }
 
     // Find user by email
     const user = await User.findOne({ email });
     if (!user) {
-      return res.status(404).json({ message: 'User not found' });
+      return res.status(404).json({ message: t(req, 'auth.userNotFound') });
     }
 
     // Check if already verified
     if (user.is_verified) {
-      return res.status(400).json({ message: 'Email already verified' });
+      return res.status(400).json({ message: t(req, 'auth.alreadyVerified') });
     }
 
     // Check verification code
     if (user.verification_code !== code) {
-      return res.status(400).json({ message: 'Invalid verification code' });
+      return res.status(400).json({ message: t(req, 'auth.invalidCode') });
     }
 
     // Update user verification status
@@ -188,10 +189,10 @@ router.post('/verify-email/', async (req, res) => {
     user.verification_code = undefined; // Clear code after verification
     await user.save();
 
-    res.json({ message: 'Email verified successfully. You can now log in.' });
+    res.json({ message: t(req, 'auth.verified') });
   } catch (error) {
     logger.error('Email verification error:', error);
-    res.status(500).json({ message: 'Server error during verification' });
+    res.status(500).json({ message: t(req, 'auth.verificationError') });
   }
 });
 
@@ -202,28 +203,28 @@ router.post('/login/', async (req, res) => {
 
     // Validate input
     if (!email || !password) {
-      return res.status(400).json({ message: 'Please provide email and password' });
+      return res.status(400).json({ message: t(req, 'auth.missingCredentials') });
     }
 
     // Find user by email
     const user = await User.findOne({ email });
     if (!user) {
       logger.warn(`Login attempt with non-existent email: ${email}`);
-      return res.status(401).json({ message: 'Invalid credentials' });
+      return res.status(401).json({ message: t(req, 'auth.invalidCredentials') });
     }
 
     // Check password
     const isPasswordCorrect = await bcrypt.compare(password, user.password);
     if (!isPasswordCorrect) {
       logger.warn(`Invalid password attempt for user: ${email}`);
-      return res.status(401).json({ message: 'Invalid credentials' });
+      return res.status(401).json({ message: t(req, 'auth.invalidCredentials') });
     }
 
     // Check if user is verified
     if (!user.is_verified) {
       logger.warn(`Login attempt by unverified user: ${user.email}`);
       return res.status(401).json({ 
-        message: 'Please verify your email before logging in',
+        message: t(req, 'auth.unverified'),
         requiresVerification: true 
       });
     }
@@ -248,11 +249,11 @@ router.post('/login/', async (req, res) => {
         username: user.username,
         email: user.email,
       },
-      message: 'Login successful',
+      message: t(req, 'auth.loggedIn'),
     });
   } catch (error) {
     logger.error('Login error:', error);
-    res.status(500).json({ message: 'Server error during login' });
+    res.status(500).json({ message: t(req, 'auth.loginError') });
   }
 });
 
@@ -263,16 +264,36 @@ export const authenticateToken = (req, res, next) => {
   const token = authHeader && authHeader.split(' ')[1];
 
   if (!token) {
-    return res.status(401).json({ message: 'Authentication required' });
+    return res.status(401).json({ message: t(req, 'auth.required') });
   }
 
-  jwt.verify(token, JWT_SECRET, (err, user) => {
-    if (err) {
-      return res.status(403).json({ message: 'Invalid or expired token' });
-    }
-    req.user = user;
-    next();
-  });
+  const user = verifyToken(token);
+  if (!user) {
+    return res.status(403).json({ message: t(req, 'auth.invalidToken') });
+  }
+  req.user = user;
+  next();
 };
 
+// Middleware for public routes that show more to a logged-in player: sets
+// req.user when a valid token comes with the request, and carries on without
+export const identifyUser = (req, res, next) => {
+  const authHeader = req.headers.authorization;
+  const token = authHeader && authHeader.split(' ')[1];
+
+  const user = token && verifyToken(token);
+  if (user) req.user = user;
+  next();
+};
+
+// Decode a login token, or null if it is invalid or expired. Shared with
+// connections that cannot go through authenticateToken, like WebSockets.
+export function verifyToken(token) {
+  try {
+    return jwt.verify(token, JWT_SECRET);
+  } catch {
+    return null;
+  }
+}
+
 export default router;
\ No newline at end of file
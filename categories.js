@@ -0,0 +1,31 @@
+// Question categories: the ids stored on each question and their display names.
+
+export const CATEGORIES = [
+  { id: 'general', name: 'General Knowledge' },
+  { id: 'geography', name: 'Geography' },
+  { id: 'history', name: 'History' },
+  { id: 'science', name: 'Science' },
+  { id: 'nature', name: 'Nature & Animals' },
+  { id: 'sports', name: 'Sports' },
+  { id: 'arts', name: 'Arts & Literature' },
+  { id: 'logic', name: 'Logic & Maths' }
+];
+
+export const DEFAULT_CATEGORY = 'general';
+
+export function getCategory(question) {
+  return question.category || DEFAULT_CATEGORY;
+}
+
+// Normalise a `category`/`categories` request value (a string, a comma-separated
+// string or an array) to a list of ids. Returns null if any id is unknown.
+export function parseCategories(value) {
+  if (value === undefined || value === null || value === '') return [];
+
+  const ids = (Array.isArray(value) ? value : String(value).split(','))
+    .map(id => String(id).trim().toLowerCase())
+    .filter(Boolean);
+
+  if (!ids.every(id => CATEGORIES.some(category => category.id === id))) return null;
+  return [...new Set(ids)];
+}
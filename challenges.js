@@ -0,0 +1,288 @@
+// Asynchronous challenges between players. After finishing a game a player can
+// challenge someone else to beat it on exactly the same questions, in the same
+// order and on the same timers. The opponent accepts or declines; once they
+// accept they play it with POST /api/game/questions and { challengeId }, and
+// when their game ends the two are compared question by question and the
+// challenger is notified.
+
+import express from 'express';
+import mongoose from 'mongoose';
+import winston from 'winston';
+import { authenticateToken } from './auth.js';
+import { Challenge, GameSession, User } from './db/models.js';
+import { canChallenge, toChallengeLadder } from './game.js';
+import { sharesGamesWith } from './friends.js';
+import { t } from './i18n.js';
+import { notify } from './notifications.js';
+
+const router = express.Router();
+
+// Configure logger
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'challenges' },
+  transports: [
+    new winston.transports.File({ filename: 'logs/error.log', level: 'error' }),
+    new winston.transports.File({ filename: 'logs/combined.log' })
+  ],
+});
+
+if (process.env.NODE_ENV !== 'production') {
+  logger.add(new winston.transports.Console({
+    format: winston.format.simple()
+  }));
+}
+
+const CHALLENGE_STATUSES = ['pending', 'accepted', 'declined', 'completed'];
+
+function roleOf(challenge, userId) {
+  if (challenge.challengerId === userId) return 'challenger';
+  if (challenge.opponentId === userId) return 'opponent';
+  return null;
+}
+
+function winnerName(challenge) {
+  if (challenge.status !== 'completed' || !challenge.winner) return null;
+  return challenge.winner === challenge.challengerId ? challenge.challengerUsername : challenge.opponentUsername;
+}
+
+function toPublicChallenge(challenge, userId) {
+  return {
+    id: challenge._id,
+    role: roleOf(challenge, userId),
+    status: challenge.status,
+    challenger: challenge.challengerUsername,
+    opponent: challenge.opponentUsername,
+    modeId: challenge.modeId,
+    totalQuestions: challenge.questions.length,
+    winner: winnerName(challenge),
+    createdAt: challenge.createdAt,
+    respondedAt: challenge.respondedAt || null,
+    completedAt: challenge.completedAt || null
+  };
+}
+
+// One player's game as the other sees it
+function toGameResult(session) {
+  if (!session) return null;
+
+  return {
+    status: session.status,
+    finalPrize: session.finalPrize,
+    correctAnswers: session.correctAnswers,
+    questionsAnswered: session.questions.filter(q => q.isCorrect !== null).length,
+    completionTime: session.completedAt ? Math.round((session.completedAt - session.startedAt) / 1000) : null
+  };
+}
+
+function toAnswerResult(question) {
+  if (!question || question.isCorrect === null) return { answered: false };
+  return { answered: true, correct: question.isCorrect, timedOut: question.timedOut, responseTime: question.responseTime ?? null };
+}
+
+// Head-to-head view of a challenge. The challenger's result is the score to
+// beat; the question-by-question comparison waits until both have played so
+// the opponent cannot look up the answers first.
+async function toChallengeDetail(challenge, userId) {
+  const challengerGame = await GameSession.findById(challenge.challengerGameId);
+  const finished = challenge.status === 'completed';
+  const opponentGame = finished && challenge.opponentGameId ? await GameSession.findById(challenge.opponentGameId) : null;
+
+  return {
+    ...toPublicChallenge(challenge, userId),
+    safeHavens: challenge.safeHavens,
+    results: {
+      challenger: toGameResult(challengerGame),
+      opponent: toGameResult(opponentGame)
+    },
+    ...(finished ? {
+      questions: challenge.questions.map((q, i) => ({
+        questionNumber: i + 1,
+        questionId: q.questionId,
+        level: q.level,
+        timeLimit: q.timeLimit,
+        prizeValue: q.prizeValue,
+        challenger: toAnswerResult(challengerGame && challengerGame.questions[i]),
+        opponent: toAnswerResult(opponentGame && opponentGame.questions[i])
+      }))
+    } : {})
+  };
+}
+
+// Load a challenge the authenticated player is part of, or send the error response
+async function findPlayerChallenge(req, res) {
+  const { id } = req.params;
+  const challenge = mongoose.Types.ObjectId.isValid(id) ? await Challenge.findById(id) : null;
+
+  if (!challenge || !roleOf(challenge, String(req.user.id))) {
+    res.status(404).json({ error: t(req, 'challenge.notFound') });
+    return null;
+  }
+  return challenge;
+}
+
+// API: Challenge another player (`opponent`, a username) to beat one of your
+// finished games (`gameId`)
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const userId = String(req.user.id);
+    const { gameId, opponent } = req.body;
+
+    if (!gameId || !opponent || typeof opponent !== 'string') {
+      return res.status(400).json({ error: t(req, 'challenge.required') });
+    }
+
+    const session = mongoose.Types.ObjectId.isValid(gameId) ? await GameSession.findById(gameId) : null;
+    if (!session || session.userId !== userId) {
+      return res.status(404).json({ error: t(req, 'game.notFound') });
+    }
+    if (!canChallenge(session)) {
+      return res.status(400).json({ error: t(req, 'challenge.notChallengeable') });
+    }
+
+    const opponentUser = await User.findOne({ username: opponent });
+    if (!opponentUser) {
+      return res.status(404).json({ error: t(req, 'player.notFound') });
+    }
+    if (String(opponentUser._id) === userId) {
+      return res.status(400).json({ error: t(req, 'challenge.self') });
+    }
+    // Players who keep their games to friends can only be challenged by them
+    if (!(await sharesGamesWith(opponentUser, userId))) {
+      return res.status(403).json({ error: t(req, 'challenge.privateOpponent') });
+    }
+
+    const existing = await Challenge.findOne({
+      challengerGameId: String(session._id),
+      opponentId: String(opponentUser._id),
+      status: { $in: ['pending', 'accepted'] }
+    });
+    if (existing) {
+      return res.status(409).json({ error: t(req, 'challenge.exists'), challengeId: existing._id });
+    }
+
+    const challenge = new Challenge({
+      challengerId: userId,
+      challengerUsername: req.user.username,
+      opponentId: String(opponentUser._id),
+      opponentUsername: opponentUser.username,
+      challengerGameId: String(session._id),
+      ...toChallengeLadder(session)
+    });
+    await challenge.save();
+
+    await notify(challenge.opponentId, 'challenge-received', {
+      fromUsername: challenge.challengerUsername,
+      challengeId: String(challenge._id)
+    });
+
+    logger.info(`${challenge.challengerUsername} challenged ${challenge.opponentUsername} with game ${session._id}`);
+
+    res.status(201).json({ challenge: await toChallengeDetail(challenge, userId) });
+  } catch (error) {
+    logger.error('Error creating challenge:', error);
+    res.status(500).json({ error: t(req, 'challenge.createError') });
+  }
+});
+
+// API: Challenges you have sent or received, newest first (optional ?status=)
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const userId = String(req.user.id);
+    const { status } = req.query;
+
+    if (status !== undefined && !CHALLENGE_STATUSES.includes(status)) {
+      return res.status(400).json({ error: t(req, 'challenge.invalidStatus', { statuses: CHALLENGE_STATUSES.join(', ') }) });
+    }
+
+    const challenges = await Challenge.find({
+      $or: [{ challengerId: userId }, { opponentId: userId }],
+      ...(status ? { status } : {})
+    }).sort({ createdAt: -1 });
+
+    res.json({ challenges: challenges.map(challenge => toPublicChallenge(challenge, userId)) });
+  } catch (error) {
+    logger.error('Error fetching challenges:', error);
+    res.status(500).json({ error: t(req, 'challenge.listError') });
+  }
+});
+
+// API: A challenge with the score to beat and, once both have played, the
+// head-to-head comparison
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const challenge = await findPlayerChallenge(req, res);
+    if (!challenge) return;
+
+    res.json({ challenge: await toChallengeDetail(challenge, String(req.user.id)) });
+  } catch (error) {
+    logger.error('Error fetching challenge:', error);
+    res.status(500).json({ error: t(req, 'challenge.fetchError') });
+  }
+});
+
+// API: Accept a challenge sent to you; play it next with POST
+// /api/game/questions and { challengeId }
+router.post('/:id/accept', authenticateToken, async (req, res) => {
+  try {
+    const challenge = await findPlayerChallenge(req, res);
+    if (!challenge) return;
+
+    if (roleOf(challenge, String(req.user.id)) !== 'opponent') {
+      return res.status(403).json({ error: t(req, 'challenge.acceptForbidden') });
+    }
+    if (challenge.status !== 'pending') {
+      return res.status(409).json({ error: t(req, 'challenge.alreadyStatus', { status: challenge.status }) });
+    }
+
+    challenge.status = 'accepted';
+    challenge.respondedAt = new Date();
+    await challenge.save();
+
+    await notify(challenge.challengerId, 'challenge-accepted', {
+      fromUsername: challenge.opponentUsername,
+      challengeId: String(challenge._id)
+    });
+
+    res.json({ success: true, challenge: toPublicChallenge(challenge, String(req.user.id)) });
+  } catch (error) {
+    logger.error('Error accepting challenge:', error);
+    res.status(500).json({ error: t(req, 'challenge.acceptError') });
+  }
+});
+
+// API: Decline a challenge sent to you, as long as you have not started it
+router.post('/:id/decline', authenticateToken, async (req, res) => {
+  try {
+    const challenge = await findPlayerChallenge(req, res);
+    if (!challenge) return;
+
+    if (roleOf(challenge, String(req.user.id)) !== 'opponent') {
+      return res.status(403).json({ error: t(req, 'challenge.declineForbidden') });
+    }
+    if (!['pending', 'accepted'].includes(challenge.status) || challenge.opponentGameId) {
+      return res.status(409).json({ error: t(req, 'challenge.cannotDecline') });
+    }
+
+    challenge.status = 'declined';
+    challenge.respondedAt = new Date();
+    await challenge.save();
+
+    await notify(challenge.challengerId, 'challenge-declined', {
+      fromUsername: challenge.opponentUsername,
+      challengeId: String(challenge._id)
+    });
+
+    res.json({ success: true, challenge: toPublicChallenge(challenge, String(req.user.id)) });
+  } catch (error) {
+    logger.error('Error declining challenge:', error);
+    res.status(500).json({ error: t(req, 'challenge.declineError') });
+  }
+});
+
+export default router;
@@ -1,4 +1,41 @@
 import mongoose from 'mongoose';
+import { QUESTION_TYPES, DEFAULT_QUESTION_TYPE, defaultOptions, validateQuestion } from '../question-types.js';
+
+// Picture or audio attached to a question, kept in media storage under key
+const mediaSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true
+  },
+  kind: {
+    type: String,
+    enum: ['image', 'audio'],
+    required: true
+  },
+  contentType: {
+    type: String,
+    required: true
+  }
+}, { _id: false });
+
+// A question's text in another language. Options are listed in the same
+// order as the original ones, so answers still resolve by position.
+const translationSchema = new mongoose.Schema({
+  question: {
+    type: String,
+    required: true
+  },
+  options: {
+    type: [String],
+    default: undefined
+  },
+  explanation: {
+    type: String
+  },
+  hint: {
+    type: String
+  }
+}, { _id: false });
 
 // Question Schema
 const questionSchema = new mongoose.Schema({
@@ -11,20 +48,78 @@ const questionSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  type: {
+    type: String,
+    enum: QUESTION_TYPES,
+    default: DEFAULT_QUESTION_TYPE
+  },
+  // Not used by numeric questions
   options: {
-    type: [String],
-    required: true
+    type: [String]
   },
+  // Option text; a list of options for multi-select (every correct one) and
+  // ordering (all of them in order); a number for numeric questions
   answer: {
-    type: String,
+    type: mongoose.Schema.Types.Mixed,
     required: true
   },
+  // How far a numeric answer may be off and still count
+  tolerance: {
+    type: Number,
+    default: 0
+  },
   category: {
     type: String,
     default: 'general'
+  },
+  difficulty: {
+    type: String,
+    enum: ['easy', 'medium', 'hard'],
+    default: 'medium'
+  },
+  // Shown once the answer is locked in
+  explanation: {
+    type: String
+  },
+  // Used by the hint lifeline instead of ruling out an option
+  hint: {
+    type: String
+  },
+  sourceUrl: {
+    type: String,
+    match: [/^https?:\/\/\S+$/, 'sourceUrl must be an http(s) URL']
+  },
+  media: {
+    type: mediaSchema,
+    default: undefined
+  },
+  // Keyed by language code, e.g. 'es'; English is the untranslated text
+  translations: {
+    type: Map,
+    of: translationSchema,
+    default: undefined
   }
 });
 
+// Check the options and answer against the rules of the question type
+questionSchema.pre('validate', function (next) {
+  if (this.options.length === 0) {
+    this.options = defaultOptions(this.type);
+  }
+
+  for (const [path, message] of validateQuestion(this)) {
+    this.invalidate(path, message);
+  }
+
+  for (const [locale, translation] of this.translations || []) {
+    if (translation.options && translation.options.length !== this.options.length) {
+      this.invalidate(`translations.${locale}.options`, `translations.${locale}.options must have ${this.options.length} entries`);
+    }
+  }
+
+  next();
+});
+
 // User Schema
 const userSchema = new mongoose.Schema({
   id: {
@@ -65,6 +160,26 @@ const userSchema = new mongoose.Schema({
     type: [String], // Array of question IDs
     default: []
   },
+  // Preferred language for questions and messages, e.g. 'es'
+  language: {
+    type: String
+  },
+  // 'friends' hides the player from anyone who is not their friend: they
+  // cannot be followed and appear unnamed on leaderboards
+  privacy: {
+    type: String,
+    enum: ['public', 'friends'],
+    default: 'public'
+  },
+  // Elo-style skill rating, moved by every answer in a game (see ratings.js)
+  rating: {
+    type: Number,
+    default: 1500
+  },
+  ratedAnswers: {
+    type: Number,
+    default: 0
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -106,6 +221,9 @@ const statsSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  correctAnswers: {
+    type: Number
+  },
   accuracy: {
     type: Number,
     default: 0
@@ -113,11 +231,51 @@ const statsSchema = new mongoose.Schema({
   averageCompletionTime: {
     type: String,
     default: "0:00"
+  },
+  // Seconds spent in server-timed games, the basis for averageCompletionTime
+  totalPlayTime: {
+    type: Number
+  },
+  // Consecutive days with a completed Daily Challenge
+  dailyStreak: {
+    type: Number,
+    default: 0
+  },
+  longestDailyStreak: {
+    type: Number,
+    default: 0
+  },
+  lastDailyDate: {
+    type: String // YYYY-MM-DD (UTC)
+  },
+  // Practice games are tracked apart from the ranked figures above
+  practiceGamesPlayed: {
+    type: Number,
+    default: 0
+  },
+  practiceQuestionsAnswered: {
+    type: Number,
+    default: 0
+  },
+  practiceCorrectAnswers: {
+    type: Number,
+    default: 0
+  },
+  practiceAccuracy: {
+    type: Number,
+    default: 0
   }
 });
 
 // Leaderboard Schema with entries array to match JSON structure
 const leaderboardSchema = new mongoose.Schema({
+  // Which board this is: 'global' for prize money, 'daily-YYYY-MM-DD' for a
+  // Daily Challenge, or 'survival' and 'time-attack' for those modes' scores
+  board: {
+    type: String,
+    default: 'global',
+    index: true
+  },
   leaderboard: [{
     id: {
       type: Number,
@@ -135,6 +293,10 @@ const leaderboardSchema = new mongoose.Schema({
       type: Number,
       required: true
     },
+    // Score on the survival and time-attack boards, which rank by it
+    score: {
+      type: Number
+    },
     questionsAnswered: {
       type: Number,
       default: 0
@@ -154,10 +316,789 @@ const leaderboardSchema = new mongoose.Schema({
   }]
 });
 
+// Boards stored before the board field existed are the global one
+leaderboardSchema.statics.findBoard = function (board = 'global') {
+  return this.findOne(board === 'global' ? { board: { $in: ['global', null] } } : { board });
+};
+
+// Daily Challenge Schema - the question set every player gets on a given day
+const dailyChallengeSchema = new mongoose.Schema({
+  date: {
+    type: String, // YYYY-MM-DD (UTC)
+    required: true,
+    unique: true
+  },
+  questions: [{
+    _id: false,
+    questionId: {
+      type: String,
+      required: true
+    },
+    question: {
+      type: String,
+      required: true
+    },
+    type: {
+      type: String,
+      default: DEFAULT_QUESTION_TYPE
+    },
+    // In the question's original order; each game shuffles its own copy
+    options: {
+      type: [String]
+    },
+    correctAnswer: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true
+    },
+    tolerance: {
+      type: Number
+    },
+    level: {
+      type: String
+    },
+    category: {
+      type: String
+    },
+    explanation: {
+      type: String
+    },
+    hint: {
+      type: String
+    },
+    sourceUrl: {
+      type: String
+    },
+    media: {
+      type: mediaSchema,
+      default: undefined
+    },
+    translations: {
+      type: Map,
+      of: translationSchema,
+      default: undefined
+    }
+  }],
+  prizeLadder: {
+    type: [Number],
+    required: true
+  },
+  timeLimits: {
+    type: [Number],
+    required: true
+  },
+  safeHavens: {
+    type: [Number],
+    default: []
+  },
+  difficultyMix: {
+    easy: { type: Number, default: 0 },
+    medium: { type: Number, default: 0 },
+    hard: { type: Number, default: 0 }
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Game Mode Schema - prize ladder, timers and question mix for a game format
+const gameModeSchema = new mongoose.Schema({
+  modeId: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: /^[a-z0-9-]+$/
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  questionCount: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // Prize for each step of the ladder, one entry per question
+  prizeLadder: {
+    type: [Number],
+    required: true
+  },
+  // Time limit in seconds for each step of the ladder
+  timeLimits: {
+    type: [Number],
+    required: true
+  },
+  // Question numbers (1-based) whose prize is guaranteed once reached
+  safeHavens: {
+    type: [Number],
+    default: []
+  },
+  // How many questions to draw from each difficulty pool, in ladder order
+  difficultyMix: {
+    easy: { type: Number, default: 0, min: 0 },
+    medium: { type: Number, default: 0, min: 0 },
+    hard: { type: Number, default: 0, min: 0 }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Every per-step list and the difficulty mix must cover exactly questionCount steps
+gameModeSchema.pre('validate', function (next) {
+  if (this.prizeLadder.length !== this.questionCount) {
+    this.invalidate('prizeLadder', `prizeLadder must have ${this.questionCount} entries`);
+  }
+  if (this.timeLimits.length !== this.questionCount) {
+    this.invalidate('timeLimits', `timeLimits must have ${this.questionCount} entries`);
+  }
+  if (this.timeLimits.some(limit => !(limit > 0))) {
+    this.invalidate('timeLimits', 'timeLimits must be positive numbers of seconds');
+  }
+  if (this.safeHavens.some(step => !Number.isInteger(step) || step < 1 || step > this.questionCount)) {
+    this.invalidate('safeHavens', `safeHavens must be question numbers between 1 and ${this.questionCount}`);
+  }
+
+  const { easy, medium, hard } = this.difficultyMix;
+  if (easy + medium + hard !== this.questionCount) {
+    this.invalidate('difficultyMix', `difficultyMix must add up to ${this.questionCount}`);
+  }
+
+  next();
+});
+
+// Game Session Schema - server-side record of a single game, so results are
+// computed from recorded answers rather than trusted from the client
+const gameSessionSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true
+  },
+  username: {
+    type: String,
+    required: true
+  },
+  modeId: {
+    type: String,
+    default: 'classic'
+  },
+  // Set for Daily Challenge games; one per player per day
+  dailyDate: {
+    type: String
+  },
+  // Set for games played to answer a friend's challenge
+  challengeId: {
+    type: String
+  },
+  // Language the questions were served in
+  locale: {
+    type: String,
+    default: 'en'
+  },
+  status: {
+    type: String,
+    // completed: a practice game that reached its last question
+    // forfeited: the player gave the game up; abandoned: it was left untouched
+    // until it expired, or the player started another game
+    enum: ['in_progress', 'won', 'lost', 'walked_away', 'timed_out', 'completed', 'forfeited', 'abandoned'],
+    default: 'in_progress'
+  },
+  questions: [{
+    _id: false,
+    questionId: {
+      type: String,
+      required: true
+    },
+    question: {
+      type: String,
+      required: true
+    },
+    type: {
+      type: String,
+      default: DEFAULT_QUESTION_TYPE
+    },
+    // Shuffled for this game; correctAnswer, removedOptions and
+    // selectedAnswer all index into this order
+    options: {
+      type: [String]
+    },
+    // Original option index for each position in options
+    optionOrder: {
+      type: [Number],
+      default: []
+    },
+    // An option index, a list of them (multi-select, ordering) or a number
+    // (numeric), as resolved by question-types.js
+    correctAnswer: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true
+    },
+    tolerance: {
+      type: Number
+    },
+    questionNumber: {
+      type: Number,
+      required: true
+    },
+    level: {
+      type: String
+    },
+    category: {
+      type: String
+    },
+    // Seconds; unset for untimed (practice) questions
+    timeLimit: {
+      type: Number
+    },
+    prizeValue: {
+      type: Number,
+      default: 0
+    },
+    removedOptions: {
+      type: [Number],
+      default: []
+    },
+    // Snapshot of the question's explanation, hint and source
+    explanation: {
+      type: String
+    },
+    hint: {
+      type: String
+    },
+    sourceUrl: {
+      type: String
+    },
+    media: {
+      type: mediaSchema,
+      default: undefined
+    },
+    // Text in the game's language, options in this game's order
+    translation: {
+      type: translationSchema,
+      default: undefined
+    },
+    // Same form as correctAnswer
+    selectedAnswer: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null
+    },
+    isCorrect: {
+      type: Boolean,
+      default: null
+    },
+    // When the question's clock started: game start for Q1, otherwise the
+    // previous answer (or the skip that swapped it in)
+    servedAt: {
+      type: Date
+    },
+    answeredAt: {
+      type: Date
+    },
+    // Milliseconds from servedAt to answeredAt
+    responseTime: {
+      type: Number
+    },
+    timedOut: {
+      type: Boolean,
+      default: false
+    }
+  }],
+  // Categories the player chose; the skip lifeline draws from them too
+  categories: {
+    type: [String],
+    default: []
+  },
+  // Safe-haven question numbers copied from the mode when the game started
+  safeHavens: {
+    type: [Number],
+    default: []
+  },
+  currentQuestion: {
+    type: Number,
+    default: 0
+  },
+  lifelinesUsed: [{
+    _id: false,
+    name: {
+      type: String,
+      required: true
+    },
+    questionNumber: {
+      type: Number,
+      required: true
+    },
+    // For skip, the question that was swapped out
+    questionId: {
+      type: String
+    },
+    usedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  correctAnswers: {
+    type: Number,
+    default: 0
+  },
+  finalPrize: {
+    type: Number,
+    default: 0
+  },
+  // Survival streak or time-attack correct answers, set when the game ends
+  score: {
+    type: Number
+  },
+  resultsSaved: {
+    type: Boolean,
+    default: false
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Last answer, lifeline or end of the game; games left untouched for too
+  // long are expired
+  lastActivityAt: {
+    type: Date,
+    default: Date.now
+  },
+  completedAt: {
+    type: Date
+  }
+}, {
+  // Two requests answering the same question at once must not both be
+  // graded, so a save from a stale copy of the game fails with a VersionError
+  optimisticConcurrency: true
+});
+
+// One Daily Challenge game per player per day, even when two starts race
+gameSessionSchema.index(
+  { userId: 1, dailyDate: 1 },
+  { unique: true, partialFilterExpression: { dailyDate: { $exists: true } } }
+);
+
+// Question Record Schema - one player's history with one question, and when
+// it is next due for review if they have missed it (see spaced-repetition.js)
+const questionRecordSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true
+  },
+  questionId: {
+    type: String,
+    required: true
+  },
+  timesAnswered: {
+    type: Number,
+    default: 0
+  },
+  timesCorrect: {
+    type: Number,
+    default: 0
+  },
+  lastAnsweredAt: {
+    type: Date
+  },
+  lastCorrect: {
+    type: Boolean
+  },
+  // SM-2 schedule; dueAt stays unset until the question is first missed
+  easeFactor: {
+    type: Number,
+    default: 2.5
+  },
+  // Days between the last review and the next
+  interval: {
+    type: Number,
+    default: 0
+  },
+  // Reviews in a row answered correctly
+  repetitions: {
+    type: Number,
+    default: 0
+  },
+  dueAt: {
+    type: Date
+  }
+});
+
+questionRecordSchema.index({ userId: 1, questionId: 1 }, { unique: true });
+
+// Match Schema - result of a finished head-to-head multiplayer match
+const matchSchema = new mongoose.Schema({
+  players: [{
+    _id: false,
+    userId: {
+      type: String,
+      required: true
+    },
+    username: {
+      type: String,
+      required: true
+    },
+    score: {
+      type: Number,
+      default: 0
+    },
+    correctAnswers: {
+      type: Number,
+      default: 0
+    }
+  }],
+  // Questions both players were served, in order, with each player's answer
+  questions: [{
+    _id: false,
+    questionId: {
+      type: String,
+      required: true
+    },
+    questionNumber: {
+      type: Number,
+      required: true
+    },
+    options: {
+      type: [String]
+    },
+    // Same form as GameSession answers, indexing into options above
+    correctAnswer: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true
+    },
+    answers: [{
+      _id: false,
+      userId: {
+        type: String,
+        required: true
+      },
+      // null when the player ran out of time
+      answer: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+      },
+      isCorrect: {
+        type: Boolean,
+        default: false
+      },
+      responseTime: {
+        type: Number
+      },
+      points: {
+        type: Number,
+        default: 0
+      }
+    }]
+  }],
+  // forfeited: a player disconnected before the last question
+  status: {
+    type: String,
+    enum: ['completed', 'forfeited'],
+    required: true
+  },
+  // userId of the winner; null for a draw
+  winner: {
+    type: String,
+    default: null
+  },
+  forfeitedBy: {
+    type: String
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  completedAt: {
+    type: Date
+  }
+});
+
+// Room Result Schema - final scoreboard of a hosted quiz room. Rooms
+// themselves only live in memory while they are being played.
+const roomResultSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true
+  },
+  hostId: {
+    type: String,
+    required: true
+  },
+  hostUsername: {
+    type: String,
+    required: true
+  },
+  questions: [{
+    _id: false,
+    questionId: {
+      type: String,
+      required: true
+    },
+    questionNumber: {
+      type: Number,
+      required: true
+    }
+  }],
+  // Guests have no account, so players are known by their nickname
+  players: [{
+    _id: false,
+    nickname: {
+      type: String,
+      required: true
+    },
+    score: {
+      type: Number,
+      default: 0
+    },
+    correctAnswers: {
+      type: Number,
+      default: 0
+    },
+    rank: {
+      type: Number,
+      required: true
+    }
+  }],
+  // expired: the room sat idle and was closed before the host ended it
+  status: {
+    type: String,
+    enum: ['completed', 'expired'],
+    default: 'completed'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  completedAt: {
+    type: Date
+  }
+});
+
+// Challenge Schema - one player daring another to beat a finished game on the
+// same questions, in the same order, with the same timers
+const challengeSchema = new mongoose.Schema({
+  challengerId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  challengerUsername: {
+    type: String,
+    required: true
+  },
+  opponentId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  opponentUsername: {
+    type: String,
+    required: true
+  },
+  // The challenger's game the challenge was made from
+  challengerGameId: {
+    type: String,
+    required: true
+  },
+  // The opponent's game, once they start it
+  opponentGameId: {
+    type: String
+  },
+  // Ladder snapshot from the challenger's game
+  modeId: {
+    type: String,
+    required: true
+  },
+  categories: {
+    type: [String],
+    default: []
+  },
+  safeHavens: {
+    type: [Number],
+    default: []
+  },
+  questions: [{
+    _id: false,
+    questionId: {
+      type: String,
+      required: true
+    },
+    level: {
+      type: String
+    },
+    // Seconds, before any timer extension the challenger used
+    timeLimit: {
+      type: Number
+    },
+    prizeValue: {
+      type: Number,
+      default: 0
+    }
+  }],
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'declined', 'completed'],
+    default: 'pending'
+  },
+  // userId of the better game; unset for a draw
+  winner: {
+    type: String
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  respondedAt: {
+    type: Date
+  },
+  completedAt: {
+    type: Date
+  }
+});
+
+// Friendship Schema - a friend request, and the friendship once accepted.
+// Players are referred to by id so renames carry through.
+const friendshipSchema = new mongoose.Schema({
+  requesterId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  recipientId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted'],
+    default: 'pending'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  acceptedAt: {
+    type: Date
+  }
+});
+
+friendshipSchema.index({ requesterId: 1, recipientId: 1 }, { unique: true });
+
+// Follow Schema - one player following another's games, no approval needed
+const followSchema = new mongoose.Schema({
+  followerId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  followeeId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+followSchema.index({ followerId: 1, followeeId: 1 }, { unique: true });
+
+// Notification Schema - something a player should hear about, newest first
+const notificationSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  type: {
+    type: String,
+    enum: [
+      'challenge-received', 'challenge-accepted', 'challenge-declined', 'challenge-completed',
+      'friend-request', 'friend-accepted', 'new-follower'
+    ],
+    required: true
+  },
+  // The other player involved
+  fromUsername: {
+    type: String
+  },
+  challengeId: {
+    type: String
+  },
+  read: {
+    type: Boolean,
+    default: false
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Question Stats Schema - how players have answered each question across all games
+const questionStatsSchema = new mongoose.Schema({
+  questionId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  timesAnswered: {
+    type: Number,
+    default: 0
+  },
+  timesCorrect: {
+    type: Number,
+    default: 0
+  },
+  // Elo-style difficulty rating; unset until the first rated answer, when it
+  // starts from the question's difficulty (see ratings.js)
+  rating: {
+    type: Number
+  },
+  // Keyed by option text so the tally survives option reordering
+  answers: [{
+    _id: false,
+    option: {
+      type: String,
+      required: true
+    },
+    count: {
+      type: Number,
+      default: 0
+    }
+  }]
+});
+
 // Create and export models
 const Question = mongoose.models.Question || mongoose.model('Question', questionSchema);
 const User = mongoose.models.User || mongoose.model('User', userSchema);
 const Stats = mongoose.models.Stats || mongoose.model('Stats', statsSchema);
 const Leaderboard = mongoose.models.Leaderboard || mongoose.model('Leaderboard', leaderboardSchema);
+const DailyChallenge = mongoose.models.DailyChallenge || mongoose.model('DailyChallenge', dailyChallengeSchema);
+const GameMode = mongoose.models.GameMode || mongoose.model('GameMode', gameModeSchema);
+const GameSession = mongoose.models.GameSession || mongoose.model('GameSession', gameSessionSchema);
+const QuestionStats = mongoose.models.QuestionStats || mongoose.model('QuestionStats', questionStatsSchema);
+const QuestionRecord = mongoose.models.QuestionRecord || mongoose.model('QuestionRecord', questionRecordSchema);
+const Match = mongoose.models.Match || mongoose.model('Match', matchSchema);
+const RoomResult = mongoose.models.RoomResult || mongoose.model('RoomResult', roomResultSchema);
+const Challenge = mongoose.models.Challenge || mongoose.model('Challenge', challengeSchema);
+const Notification = mongoose.models.Notification || mongoose.model('Notification', notificationSchema);
+const Friendship = mongoose.models.Friendship || mongoose.model('Friendship', friendshipSchema);
+const Follow = mongoose.models.Follow || mongoose.model('Follow', followSchema);
 
-export { Question, User, Stats, Leaderboard };
\ No newline at end of file
+export { Question, User, Stats, Leaderboard, DailyChallenge, GameMode, GameSession, QuestionStats, QuestionRecord, Match, RoomResult, Challenge, Notification, Friendship, Follow };
\ No newline at end of file
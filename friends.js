@@ -0,0 +1,431 @@
+// Friends and follows. A friendship is mutual and starts with a request the
+// other player accepts; following is one-way and needs no approval. Players
+// can keep their games to their friends (privacy 'friends'): nobody else can
+// follow them, and leaderboards show them without a name to anyone else.
+// Friends and the players you follow make up the friends leaderboard and the
+// feed of recent high scores.
+
+import express from 'express';
+import mongoose from 'mongoose';
+import winston from 'winston';
+import { authenticateToken } from './auth.js';
+import { User, Stats, GameSession, Friendship, Follow } from './db/models.js';
+import { notify } from './notifications.js';
+import { t } from './i18n.js';
+
+const router = express.Router();
+
+// Configure logger
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'friends' },
+  transports: [
+    new winston.transports.File({ filename: 'logs/error.log', level: 'error' }),
+    new winston.transports.File({ filename: 'logs/combined.log' })
+  ],
+});
+
+if (process.env.NODE_ENV !== 'production') {
+  logger.add(new winston.transports.Console({
+    format: winston.format.simple()
+  }));
+}
+
+const DEFAULT_FEED_LIMIT = 20;
+const MAX_FEED_LIMIT = 50;
+
+function hidesFromStrangers(user) {
+  return user.privacy === 'friends';
+}
+
+// Whether a player's games are open to another: always unless they keep them
+// to friends, in which case only to those friends
+export async function sharesGamesWith(user, viewerId) {
+  if (!hidesFromStrangers(user)) return true;
+  return (await getFriendIds(viewerId)).includes(String(user._id));
+}
+
+// Ids of a player's friends
+export async function getFriendIds(userId) {
+  const id = String(userId);
+  const friendships = await Friendship.find({
+    status: 'accepted',
+    $or: [{ requesterId: id }, { recipientId: id }]
+  });
+  return friendships.map(friendship => (friendship.requesterId === id ? friendship.recipientId : friendship.requesterId));
+}
+
+// Leaderboard entries as a viewer sees them: players who keep their games to
+// friends lose their name and id unless the viewer is one of their friends.
+// Entries are matched to players by userId, or by name for older entries
+// without one.
+export async function hidePrivateEntries(entries = [], viewerId) {
+  const nameOf = entry => entry.playerName ?? entry.username;
+  const ids = entries.map(entry => entry.userId).filter(id => id && mongoose.Types.ObjectId.isValid(id));
+  const names = entries.filter(entry => !entry.userId).map(nameOf);
+
+  const privatePlayers = await User.find({
+    privacy: 'friends',
+    $or: [{ _id: { $in: ids } }, { username: { $in: names } }]
+  }).select('username');
+  if (privatePlayers.length === 0) return entries;
+
+  const allowed = viewerId ? [String(viewerId), ...await getFriendIds(viewerId)] : [];
+  const hidden = privatePlayers.filter(user => !allowed.includes(String(user._id)));
+  const hiddenIds = new Set(hidden.map(user => String(user._id)));
+  const hiddenNames = new Set(hidden.map(user => user.username));
+
+  return entries.map(entry => {
+    const plain = typeof entry.toObject === 'function' ? entry.toObject() : entry;
+    const isHidden = plain.userId ? hiddenIds.has(String(plain.userId)) : hiddenNames.has(nameOf(plain));
+    if (!isHidden) return plain;
+
+    const { userId, ...rest } = plain;
+    return { ...rest, ...('playerName' in plain ? { playerName: null } : { username: null }), hidden: true };
+  });
+}
+
+// The friendship or request between two players, whichever of them sent it
+function findFriendship(firstId, secondId) {
+  return Friendship.findOne({
+    $or: [
+      { requesterId: firstId, recipientId: secondId },
+      { requesterId: secondId, recipientId: firstId }
+    ]
+  });
+}
+
+// Players whose games a player sees, by id: their friends, and the players
+// they follow who have not kept their games to friends
+async function getCircle(userId) {
+  const friendIds = await getFriendIds(userId);
+  const followeeIds = (await Follow.find({ followerId: userId })).map(follow => follow.followeeId);
+  const users = await User.find({ _id: { $in: [...friendIds, ...followeeIds] } }).select('username privacy');
+
+  const circle = new Map();
+  users.forEach(user => {
+    const id = String(user._id);
+    if (friendIds.includes(id)) {
+      circle.set(id, { username: user.username, relationship: 'friend' });
+    } else if (!hidesFromStrangers(user)) {
+      circle.set(id, { username: user.username, relationship: 'following' });
+    }
+  });
+  return circle;
+}
+
+// Current usernames for player ids; players who have since been deleted are left out
+async function usernamesById(ids) {
+  const users = await User.find({ _id: { $in: ids } }).select('username');
+  return new Map(users.map(user => [String(user._id), user.username]));
+}
+
+// Look up the player a request names, or send the error response
+async function findNamedPlayer(req, res, username) {
+  if (!username || typeof username !== 'string') {
+    res.status(400).json({ error: t(req, 'player.usernameRequired') });
+    return null;
+  }
+
+  const user = await User.findOne({ username });
+  if (!user) {
+    res.status(404).json({ error: t(req, 'player.notFound') });
+    return null;
+  }
+  return user;
+}
+
+// Accept a pending request on behalf of its recipient and tell the sender
+async function acceptFriendship(friendship, req, res) {
+  friendship.status = 'accepted';
+  friendship.acceptedAt = new Date();
+  await friendship.save();
+
+  await notify(friendship.requesterId, 'friend-accepted', { fromUsername: req.user.username });
+
+  const names = await usernamesById([friendship.requesterId]);
+  logger.info(`${req.user.username} and ${names.get(friendship.requesterId)} are now friends`);
+
+  res.json({
+    success: true,
+    friend: { username: names.get(friendship.requesterId), since: friendship.acceptedAt }
+  });
+}
+
+// API: Your friends and the friend requests you have sent and received
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const userId = String(req.user.id);
+    const friendships = await Friendship.find({
+      $or: [{ requesterId: userId }, { recipientId: userId }]
+    }).sort({ createdAt: -1 });
+
+    const otherId = friendship => (friendship.requesterId === userId ? friendship.recipientId : friendship.requesterId);
+    const names = await usernamesById(friendships.map(otherId));
+    const known = friendships.filter(friendship => names.has(otherId(friendship)));
+    const pending = known.filter(friendship => friendship.status === 'pending');
+    const toRequest = friendship => ({
+      requestId: friendship._id,
+      username: names.get(otherId(friendship)),
+      sentAt: friendship.createdAt
+    });
+
+    res.json({
+      friends: known
+        .filter(friendship => friendship.status === 'accepted')
+        .map(friendship => ({ username: names.get(otherId(friendship)), since: friendship.acceptedAt })),
+      incoming: pending.filter(friendship => friendship.recipientId === userId).map(toRequest),
+      outgoing: pending.filter(friendship => friendship.requesterId === userId).map(toRequest)
+    });
+  } catch (error) {
+    logger.error('Error fetching friends:', error);
+    res.status(500).json({ error: t(req, 'friends.listError') });
+  }
+});
+
+// API: Send a friend request (`username`). Sending one to a player who has
+// already sent you one accepts theirs.
+router.post('/requests', authenticateToken, async (req, res) => {
+  try {
+    const userId = String(req.user.id);
+    const other = await findNamedPlayer(req, res, req.body.username);
+    if (!other) return;
+
+    const otherId = String(other._id);
+    if (otherId === userId) {
+      return res.status(400).json({ error: t(req, 'friends.selfRequest') });
+    }
+
+    const existing = await findFriendship(userId, otherId);
+    if (existing && existing.status === 'accepted') {
+      return res.status(409).json({ error: t(req, 'friends.already') });
+    }
+    if (existing && existing.requesterId === userId) {
+      return res.status(409).json({ error: t(req, 'friends.requestSent'), requestId: existing._id });
+    }
+    if (existing) {
+      return acceptFriendship(existing, req, res);
+    }
+
+    const friendship = new Friendship({ requesterId: userId, recipientId: otherId });
+    await friendship.save();
+
+    await notify(otherId, 'friend-request', { fromUsername: req.user.username });
+
+    res.status(201).json({
+      success: true,
+      request: { requestId: friendship._id, username: other.username, sentAt: friendship.createdAt }
+    });
+  } catch (error) {
+    logger.error('Error sending friend request:', error);
+    res.status(500).json({ error: t(req, 'friends.requestError') });
+  }
+});
+
+// API: Accept a friend request sent to you
+router.post('/requests/:id/accept', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const friendship = mongoose.Types.ObjectId.isValid(id) ? await Friendship.findById(id) : null;
+
+    if (!friendship || friendship.status !== 'pending' || friendship.recipientId !== String(req.user.id)) {
+      return res.status(404).json({ error: t(req, 'friends.requestNotFound') });
+    }
+
+    await acceptFriendship(friendship, req, res);
+  } catch (error) {
+    logger.error('Error accepting friend request:', error);
+    res.status(500).json({ error: t(req, 'friends.acceptError') });
+  }
+});
+
+// API: Decline a friend request sent to you, or cancel one you sent
+router.delete('/requests/:id', authenticateToken, async (req, res) => {
+  try {
+    const userId = String(req.user.id);
+    const { id } = req.params;
+    const friendship = mongoose.Types.ObjectId.isValid(id) ? await Friendship.findById(id) : null;
+
+    if (!friendship || friendship.status !== 'pending' ||
+        (friendship.requesterId !== userId && friendship.recipientId !== userId)) {
+      return res.status(404).json({ error: t(req, 'friends.requestNotFound') });
+    }
+
+    await friendship.deleteOne();
+
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Error removing friend request:', error);
+    res.status(500).json({ error: t(req, 'friends.removeRequestError') });
+  }
+});
+
+// API: Players you follow and players who follow you
+router.get('/following', authenticateToken, async (req, res) => {
+  try {
+    const userId = String(req.user.id);
+    const following = await Follow.find({ followerId: userId }).sort({ createdAt: -1 });
+    const followers = await Follow.find({ followeeId: userId }).sort({ createdAt: -1 });
+    const names = await usernamesById([
+      ...following.map(follow => follow.followeeId),
+      ...followers.map(follow => follow.followerId)
+    ]);
+
+    const toPlayer = id => follow => ({ username: names.get(follow[id]), since: follow.createdAt });
+    res.json({
+      following: following.filter(follow => names.has(follow.followeeId)).map(toPlayer('followeeId')),
+      followers: followers.filter(follow => names.has(follow.followerId)).map(toPlayer('followerId'))
+    });
+  } catch (error) {
+    logger.error('Error fetching follows:', error);
+    res.status(500).json({ error: t(req, 'friends.followsError') });
+  }
+});
+
+// API: Follow a player (`username`)
+router.post('/following', authenticateToken, async (req, res) => {
+  try {
+    const userId = String(req.user.id);
+    const other = await findNamedPlayer(req, res, req.body.username);
+    if (!other) return;
+
+    const otherId = String(other._id);
+    if (otherId === userId) {
+      return res.status(400).json({ error: t(req, 'friends.selfFollow') });
+    }
+    if (!(await sharesGamesWith(other, userId))) {
+      return res.status(403).json({ error: t(req, 'friends.privatePlayer') });
+    }
+    if (await Follow.findOne({ followerId: userId, followeeId: otherId })) {
+      return res.status(409).json({ error: t(req, 'friends.alreadyFollowing') });
+    }
+
+    const follow = new Follow({ followerId: userId, followeeId: otherId });
+    await follow.save();
+
+    await notify(otherId, 'new-follower', { fromUsername: req.user.username });
+
+    res.status(201).json({ success: true, following: { username: other.username, since: follow.createdAt } });
+  } catch (error) {
+    logger.error('Error following player:', error);
+    res.status(500).json({ error: t(req, 'friends.followError') });
+  }
+});
+
+// API: Stop following a player
+router.delete('/following/:username', authenticateToken, async (req, res) => {
+  try {
+    const other = await findNamedPlayer(req, res, req.params.username);
+    if (!other) return;
+
+    const follow = await Follow.findOne({ followerId: String(req.user.id), followeeId: String(other._id) });
+    if (!follow) {
+      return res.status(404).json({ error: t(req, 'friends.notFollowing') });
+    }
+
+    await follow.deleteOne();
+
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Error unfollowing player:', error);
+    res.status(500).json({ error: t(req, 'friends.unfollowError') });
+  }
+});
+
+// API: You, your friends and the players you follow, ranked by total prize money
+router.get('/leaderboard', authenticateToken, async (req, res) => {
+  try {
+    const userId = String(req.user.id);
+    const me = await User.findById(userId).select('username');
+    if (!me) {
+      return res.status(404).json({ error: t(req, 'player.notFound') });
+    }
+
+    const circle = await getCircle(userId);
+    const players = [{ username: me.username, relationship: 'you' }, ...circle.values()];
+    const stats = await Stats.find({ username: { $in: players.map(player => player.username) } });
+    const statsByName = new Map(stats.map(entry => [entry.username, entry]));
+
+    const leaderboard = players
+      .map(player => {
+        const entry = statsByName.get(player.username);
+        return {
+          ...player,
+          totalPrize: entry ? entry.totalPrizeMoney : 0,
+          gamesPlayed: entry ? entry.gamesPlayed : 0,
+          accuracy: entry ? entry.accuracy : 0
+        };
+      })
+      .sort((a, b) => b.totalPrize - a.totalPrize || b.accuracy - a.accuracy)
+      .map((entry, index) => ({ rank: index + 1, ...entry }));
+
+    res.json({ leaderboard });
+  } catch (error) {
+    logger.error('Error fetching friends leaderboard:', error);
+    res.status(500).json({ error: t(req, 'friends.leaderboardError') });
+  }
+});
+
+// API: Recent high scores from your friends and the players you follow:
+// ranked games that won prize money and scored survival or time-attack
+// games, newest first (`?limit=`, up to 50)
+router.get('/feed', authenticateToken, async (req, res) => {
+  try {
+    const requested = Number(req.query.limit);
+    const limit = Number.isInteger(requested) && requested > 0 ? Math.min(requested, MAX_FEED_LIMIT) : DEFAULT_FEED_LIMIT;
+
+    const circle = await getCircle(String(req.user.id));
+    const games = await GameSession.find({
+      userId: { $in: [...circle.keys()] },
+      resultsSaved: true,
+      // Challenge games replay someone else's questions, like on the leaderboards
+      challengeId: { $exists: false },
+      $or: [{ finalPrize: { $gt: 0 } }, { score: { $gt: 0 } }]
+    }).sort({ completedAt: -1 }).limit(limit);
+
+    res.json({
+      feed: games.map(game => ({
+        gameId: game._id,
+        ...circle.get(game.userId),
+        modeId: game.modeId,
+        ...(game.dailyDate ? { dailyDate: game.dailyDate } : {}),
+        finalPrize: game.finalPrize,
+        ...(game.score != null ? { score: game.score } : {}),
+        correctAnswers: game.correctAnswers,
+        completedAt: game.completedAt
+      }))
+    });
+  } catch (error) {
+    logger.error('Error fetching friends feed:', error);
+    res.status(500).json({ error: t(req, 'friends.feedError') });
+  }
+});
+
+// API: Remove a friend
+router.delete('/:username', authenticateToken, async (req, res) => {
+  try {
+    const other = await findNamedPlayer(req, res, req.params.username);
+    if (!other) return;
+
+    const friendship = await findFriendship(String(req.user.id), String(other._id));
+    if (!friendship || friendship.status !== 'accepted') {
+      return res.status(404).json({ error: t(req, 'friends.notFriends') });
+    }
+
+    await friendship.deleteOne();
+
+    logger.info(`${req.user.username} removed ${other.username} as a friend`);
+
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Error removing friend:', error);
+    res.status(500).json({ error: t(req, 'friends.removeError') });
+  }
+});
+
+export default router;
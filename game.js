@@ -0,0 +1,1935 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import fs from 'fs';
+import path from 'path';
+import winston from 'winston';
+import { fileURLToPath } from 'url';
+import { authenticateToken, identifyUser } from './auth.js';
+import { Question, User, Stats, Leaderboard, DailyChallenge, GameMode, GameSession, QuestionStats, QuestionRecord, Challenge } from './db/models.js';
+import { LIFELINES, TIMER_EXTENSION_SECONDS, lifelinesForQuestion, fiftyFifty, audiencePoll, hint } from './lifelines.js';
+import { createRng, shuffle } from './random.js';
+import { DEFAULT_RATING, questionRating, updateRatings, targetWinProbability, pickNearTarget } from './ratings.js';
+import { scheduleReview, CORRECT_GRADE, MISSED_GRADE } from './spaced-repetition.js';
+import { notify } from './notifications.js';
+import { hidePrivateEntries } from './friends.js';
+import { toPublicMedia } from './media.js';
+import { t, resolveLocale, translationFor } from './i18n.js';
+import { getCategory, parseCategories } from './categories.js';
+import {
+  getQuestionType,
+  correctAnswerOf,
+  canShuffleOptions,
+  remapAnswer,
+  resolveAnswer,
+  isCorrectAnswer,
+  describeAnswer
+} from './question-types.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const DATA_DIR = path.join(__dirname, 'data');
+
+const router = express.Router();
+
+// Configure logger
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'game' },
+  transports: [
+    new winston.transports.File({ filename: 'logs/error.log', level: 'error' }),
+    new winston.transports.File({ filename: 'logs/combined.log' })
+  ],
+});
+
+if (process.env.NODE_ENV !== 'production') {
+  logger.add(new winston.transports.Console({
+    format: winston.format.simple()
+  }));
+}
+
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+// Extra seconds allowed past a question's time limit to absorb network latency
+const ANSWER_GRACE_SECONDS = 2;
+
+// How long a game can sit without an answer or lifeline before it is expired
+const ABANDONED_GAME_MINUTES = Number(process.env.ABANDONED_GAME_MINUTES) || 30;
+
+// When a difficulty pool runs dry, borrow from the nearest difficulty first
+const DIFFICULTY_FALLBACK = {
+  easy: ['medium', 'hard'],
+  medium: ['easy', 'hard'],
+  hard: ['medium', 'easy']
+};
+
+// Built-in 16-question ladder, used when no mode is requested. Storing a
+// GameMode with the same modeId overrides it.
+export const CLASSIC_MODE = {
+  modeId: 'classic',
+  name: 'Classic',
+  description: '16 questions from 1K to 700M',
+  questionCount: 16,
+  prizeLadder: [
+    1000, 2000, 3000, // Easy (Q1-Q3)
+    5000, 10000, 20000, 50000, 100000, 200000, // Medium (Q4-Q9)
+    500000, 1000000, 2000000, 5000000, 10000000, 50000000, 700000000 // Hard (Q10-Q16)
+  ],
+  timeLimits: [
+    10, 10, 10,
+    20, 20, 20, 20, 20, 20,
+    30, 30, 30, 30, 30, 30, 30
+  ],
+  safeHavens: [5, 10], // 10K and 500K are guaranteed once reached
+  difficultyMix: { easy: 3, medium: 6, hard: 7 }
+};
+
+// Built-in practice mode: untimed, no prize money, and a wrong answer moves
+// on to the next question instead of ending the game. Practice results are
+// kept out of the ranked stats and leaderboards.
+export const PRACTICE_MODE = {
+  modeId: 'practice',
+  name: 'Practice',
+  description: 'Untimed questions with explanations, no prize money or ranking',
+  questionCount: 10,
+  prizeLadder: Array(10).fill(0),
+  timeLimits: [],
+  safeHavens: [],
+  difficultyMix: { easy: 3, medium: 4, hard: 3 }
+};
+
+// Built-in review mode: questions the player has missed, once they are due
+// again on their spaced-repetition schedule. Played like practice, and kept
+// out of every stat except the schedule itself.
+export const REVIEW_MODE = {
+  modeId: 'review',
+  name: 'Review',
+  description: 'Questions you missed, brought back on a spaced-repetition schedule',
+  questionCount: 10,
+  prizeLadder: Array(10).fill(0),
+  timeLimits: [],
+  safeHavens: [],
+  difficultyMix: {}
+};
+
+// Built-in endless modes. Rather than a fixed ladder they draw questions in
+// batches of questionCount as the player gets through them, each batch
+// following the next of batchMixes (the last one repeats), and are scored
+// instead of paying out prize money.
+
+// Survival: one wrong answer or running out of time ends the game, scored
+// on the number of correct answers in a row. Questions get harder with each
+// batch.
+export const SURVIVAL_MODE = {
+  modeId: 'survival',
+  name: 'Survival',
+  description: 'Keep going until your first wrong answer',
+  endless: true,
+  questionCount: 5,
+  prizeLadder: Array(5).fill(0),
+  timeLimits: Array(5).fill(30),
+  safeHavens: [],
+  difficultyMix: { easy: 5 },
+  batchMixes: [{ easy: 5 }, { medium: 5 }, { hard: 5 }]
+};
+
+// Time attack: as many questions as the player can answer in one shared
+// window, scored on the number of correct answers. Every game gets the same
+// window, so the count already compares players fairly, and unlike a rate it
+// gives nothing for stopping early after a few quick answers. A wrong answer
+// moves on.
+export const TIME_ATTACK_SECONDS = 60;
+
+export const TIME_ATTACK_MODE = {
+  modeId: 'time-attack',
+  name: 'Time Attack',
+  description: `Answer as many as you can in ${TIME_ATTACK_SECONDS} seconds`,
+  endless: true,
+  questionCount: 10,
+  prizeLadder: Array(10).fill(0),
+  timeLimits: [],
+  safeHavens: [],
+  difficultyMix: { easy: 4, medium: 4, hard: 2 },
+  batchMixes: [{ easy: 4, medium: 4, hard: 2 }]
+};
+
+const BUILT_IN_MODES = [PRACTICE_MODE, REVIEW_MODE, SURVIVAL_MODE, TIME_ATTACK_MODE];
+
+// Look up an active game mode, falling back to the built-in classic ladder
+export async function getGameMode(modeId = CLASSIC_MODE.modeId) {
+  const id = String(modeId).toLowerCase();
+  const builtIn = BUILT_IN_MODES.find(mode => mode.modeId === id);
+  if (builtIn) return builtIn;
+
+  const mode = await GameMode.findOne({ modeId: id, isActive: true }).lean();
+  if (mode) return mode;
+
+  return id === CLASSIC_MODE.modeId ? CLASSIC_MODE : null;
+}
+
+// Short prize label, e.g. 1000 -> 1K, 700000000 -> 700M
+function formatPrize(amount) {
+  if (amount >= 1000000) return `${amount / 1000000}M`;
+  if (amount >= 1000) return `${amount / 1000}K`;
+  return String(amount);
+}
+
+// Summarise a mode's ladder by difficulty section for the client
+function buildGameStructure(mode) {
+  const structure = {};
+  let start = 0;
+
+  for (const difficulty of DIFFICULTIES) {
+    const count = mode.difficultyMix[difficulty] || 0;
+    if (count === 0) continue;
+
+    const end = start + count - 1;
+    const timeLimits = mode.timeLimits.slice(start, end + 1);
+    const minTime = timeLimits.length > 0 ? Math.min(...timeLimits) : null;
+    const maxTime = timeLimits.length > 0 ? Math.max(...timeLimits) : null;
+
+    structure[difficulty] = {
+      questions: start === end ? `${start + 1}` : `${start + 1}-${end + 1}`,
+      timeLimit: minTime === maxTime ? minTime : `${minTime}-${maxTime}`,
+      prize: start === end || mode.prizeLadder[start] === mode.prizeLadder[end]
+        ? formatPrize(mode.prizeLadder[start])
+        : `${formatPrize(mode.prizeLadder[start])}-${formatPrize(mode.prizeLadder[end])}`
+    };
+    start = end + 1;
+  }
+
+  return structure;
+}
+
+function getAllQuestions() {
+  const filePath = path.join(DATA_DIR, 'questions.json');
+  if (!fs.existsSync(filePath)) return [];
+  return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+}
+
+// Helper function to randomly select questions
+function getRandomQuestions(questionsPool, count, random = Math.random) {
+  return shuffle(questionsPool, random).slice(0, count);
+}
+
+// Question bank from MongoDB, topped up with any JSON questions not imported yet
+export async function loadQuestionPool() {
+  const questions = await Question.find({}).lean();
+  const existingIds = new Set(questions.map(q => q.id));
+
+  return [...questions, ...getAllQuestions().filter(q => !existingIds.has(q.id))];
+}
+
+function getDifficulty(question) {
+  return question.difficulty || 'medium';
+}
+
+// Draw the ladder's questions from the difficulty pools, easy first. Questions
+// in the player's history (oldest first) are only recycled once every unseen
+// question has been used, and a pool that is too small is topped up from its
+// nearest neighbouring difficulty. When categories are chosen, questions from
+// them are used first and the rest of the bank only fills what they cannot.
+// With ratings ({ player, questions, firstRung, totalRungs }), unseen questions
+// are matched to the player's skill rung by rung instead of drawn at random.
+// Pass a seeded generator to make the draw reproducible.
+export function selectGameQuestions(pool, mix, { history = [], categories = [], random = Math.random, ratings } = {}) {
+  const seenOrder = new Map(history.map((id, index) => [id, index]));
+  const usedIds = new Set();
+  const selected = [];
+  const tiers = categories.length > 0
+    ? [pool.filter(q => categories.includes(getCategory(q))), pool]
+    : [pool];
+  const totalRungs = ratings && (ratings.totalRungs || DIFFICULTIES.reduce((sum, d) => sum + (mix[d] || 0), 0));
+
+  const pick = (candidates, count) => {
+    if (!ratings) return getRandomQuestions(candidates, count, random);
+
+    const picked = [];
+    let left = candidates;
+    while (picked.length < count && left.length > 0) {
+      const rung = (ratings.firstRung || 0) + selected.length + picked.length;
+      const choice = pickNearTarget(left, ratings.player, targetWinProbability(rung, totalRungs), ratings.questions, random);
+      picked.push(choice);
+      left = left.filter(q => q !== choice);
+    }
+    return picked;
+  };
+
+  const take = picked => {
+    picked.forEach(q => usedIds.add(q.id));
+    selected.push(...picked);
+    return picked.length;
+  };
+
+  for (const difficulty of DIFFICULTIES) {
+    const sources = [difficulty, ...DIFFICULTY_FALLBACK[difficulty]];
+    let remaining = mix[difficulty] || 0;
+
+    for (const tier of tiers) {
+      const available = source => tier.filter(q => getDifficulty(q) === source && !usedIds.has(q.id));
+
+      for (const source of sources) {
+        if (remaining === 0) break;
+        remaining -= take(pick(available(source).filter(q => !seenOrder.has(q.id)), remaining));
+      }
+
+      for (const source of sources) {
+        if (remaining === 0) break;
+        const oldestFirst = available(source).sort((a, b) => seenOrder.get(a.id) - seenOrder.get(b.id));
+        remaining -= take(oldestFirst.slice(0, remaining));
+      }
+    }
+  }
+
+  return selected;
+}
+
+// Ids of the questions a player actually saw in a game: every question that
+// was put on the clock, plus any swapped out by the skip lifeline
+function getSeenQuestionIds(session) {
+  return [
+    ...session.lifelinesUsed.filter(l => l.name === 'skip' && l.questionId).map(l => l.questionId),
+    ...session.questions.filter(q => q.servedAt).map(q => q.questionId)
+  ];
+}
+
+// Move the questions seen in a game to the end of the player's history, so
+// the front of User.questionsAnswered is always the least recently seen
+async function recordSeenQuestions(session) {
+  const user = await User.findById(session.userId);
+  if (!user) return;
+
+  const seenIds = getSeenQuestionIds(session);
+  user.questionsAnswered = [
+    ...user.questionsAnswered.filter(id => !seenIds.includes(id)),
+    ...seenIds
+  ];
+  await user.save();
+}
+
+// Ids the player has already seen, least recent first
+async function getQuestionHistory(userId) {
+  const user = await User.findById(userId).select('questionsAnswered');
+  return user ? user.questionsAnswered : [];
+}
+
+// Winnings so far: the value of the last rung the player climbed
+function currentWinnings(session) {
+  if (session.correctAnswers === 0) return 0;
+  return session.questions[session.correctAnswers - 1].prizeValue;
+}
+
+// Amount kept after a wrong answer: the highest safe haven reached
+function guaranteedPrize(session) {
+  const reached = session.safeHavens.filter(step => step <= session.correctAnswers);
+  if (reached.length === 0) return 0;
+  return session.questions[Math.max(...reached) - 1].prizeValue;
+}
+
+// A wrong answer, running out of time or leaving a game unfinished falls back
+// to the last safe haven; winning or walking away keeps everything climbed so far
+function calculatePrize(session) {
+  return ['lost', 'timed_out', 'forfeited', 'abandoned'].includes(session.status)
+    ? guaranteedPrize(session)
+    : currentWinnings(session);
+}
+
+function formatCompletionTime(seconds) {
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+// Parse an "m:ss" string back into seconds, 0 if it is not one
+function parseCompletionTime(value) {
+  const match = /^(\d+):(\d{2})$/.exec(value || '');
+  return match ? Number(match[1]) * 60 + Number(match[2]) : 0;
+}
+
+function isPractice(session) {
+  return session.modeId === PRACTICE_MODE.modeId;
+}
+
+function isReview(session) {
+  return session.modeId === REVIEW_MODE.modeId;
+}
+
+// Untimed games without prize money, where a wrong answer moves on
+function isUnranked(session) {
+  return isPractice(session) || isReview(session);
+}
+
+function isTimeAttack(session) {
+  return session.modeId === TIME_ATTACK_MODE.modeId;
+}
+
+// Survival and time-attack games, which take a session or a mode
+function isEndless(game) {
+  return [SURVIVAL_MODE.modeId, TIME_ATTACK_MODE.modeId].includes(game.modeId);
+}
+
+// Score of a finished endless game: its correct answers. Leaving one
+// unfinished scores nothing.
+function calculateScore(session) {
+  if (['forfeited', 'abandoned'].includes(session.status)) return 0;
+  return session.correctAnswers;
+}
+
+// Start the clock on a question. In time attack every question shares the
+// game's window, so its limit is whatever is left of it.
+function serveQuestion(session, question, now = new Date()) {
+  question.servedAt = now;
+  if (isTimeAttack(session)) {
+    const endsAt = session.startedAt.getTime() + TIME_ATTACK_SECONDS * 1000;
+    question.timeLimit = Math.max(0, (endsAt - now.getTime()) / 1000);
+  }
+}
+
+// When the time to answer a question runs out, including the grace period;
+// null when the question is not on the clock
+function questionDeadline(question) {
+  if (!question.servedAt || question.timeLimit == null) return null;
+  return new Date(question.servedAt.getTime() + (question.timeLimit + ANSWER_GRACE_SECONDS) * 1000);
+}
+
+// Milliseconds left to answer a question, including the grace period; null
+// when the question is not on the clock
+function timeRemaining(question, now = new Date()) {
+  const deadline = questionDeadline(question);
+  return deadline === null ? null : deadline.getTime() - now.getTime();
+}
+
+// Whole seconds a player has left on a question, as shown on their clock
+function secondsRemaining(question) {
+  const remaining = timeRemaining(question);
+  return remaining === null ? null : Math.max(0, Math.ceil(remaining / 1000) - ANSWER_GRACE_SECONDS);
+}
+
+// End the game if time has run out on the current question. The question is
+// answered and the game ends at its deadline, however long after it the
+// timeout is noticed, so the full time allowed is the longest response time.
+// Returns true when the session timed out; the caller is responsible for
+// saving it.
+function checkTimeout(session, now = new Date()) {
+  if (session.status !== 'in_progress') return false;
+
+  const current = session.questions[session.currentQuestion];
+  const remaining = timeRemaining(current, now);
+  if (remaining === null || remaining >= 0) return false;
+
+  const deadline = questionDeadline(current);
+  current.timedOut = true;
+  // Time attack always ends on the clock; the question in play goes unanswered
+  if (isTimeAttack(session)) {
+    finishSession(session, 'completed', deadline);
+    return true;
+  }
+
+  current.isCorrect = false;
+  current.answeredAt = deadline;
+  current.responseTime = deadline - current.servedAt;
+  finishSession(session, 'timed_out', deadline);
+
+  return true;
+}
+
+// Close a session, fixing its final prize from the recorded answers. endedAt
+// is when the game really ended, which is earlier than now for games closed
+// after the fact.
+function finishSession(session, status, endedAt = new Date()) {
+  session.status = status;
+  session.finalPrize = calculatePrize(session);
+  if (isEndless(session)) session.score = calculateScore(session);
+  session.completedAt = endedAt;
+  session.lastActivityAt = endedAt;
+}
+
+// End a game the player is not going to finish: it times out if the clock on
+// the current question has already run out, otherwise it closes with status.
+// An abandoned game ended with the player's last move, not when it was found.
+function endUnfinishedSession(session, status) {
+  if (!checkTimeout(session)) {
+    const endedAt = status === 'abandoned' ? session.lastActivityAt || session.startedAt : undefined;
+    finishSession(session, status, endedAt);
+  }
+}
+
+// Copy of a bank question as a game stores it, with the answer in game form
+export function toSessionQuestion(q) {
+  return {
+    questionId: q.id,
+    question: q.question,
+    type: getQuestionType(q),
+    options: q.options || [],
+    correctAnswer: correctAnswerOf(q),
+    tolerance: q.tolerance,
+    level: getDifficulty(q),
+    category: getCategory(q),
+    explanation: q.explanation,
+    hint: q.hint,
+    sourceUrl: q.sourceUrl,
+    media: q.media,
+    translations: q.translations
+  };
+}
+
+// Shuffle a question's options for one game. The session keeps optionOrder so
+// every index it stores can be traced back to the original option. True/false
+// options keep their usual order.
+function shuffleOptions(question, random) {
+  const { options, correctAnswer } = question;
+  const type = getQuestionType(question);
+  const originalOrder = options.map((option, index) => index);
+  const optionOrder = canShuffleOptions(type) ? shuffle(originalOrder, random) : originalOrder;
+
+  return {
+    options: optionOrder.map(index => options[index]),
+    optionOrder,
+    correctAnswer: remapAnswer(type, correctAnswer, optionOrder)
+  };
+}
+
+// The question's translation for the game's language, with its options put
+// in the same shuffled order as the game's own
+function localizeQuestion(question, locale, optionOrder) {
+  const translation = translationFor(question, locale);
+  if (!translation) return undefined;
+
+  return {
+    question: translation.question,
+    options: translation.options && translation.options.length > 0
+      ? optionOrder.map(index => translation.options[index])
+      : undefined,
+    explanation: translation.explanation,
+    hint: translation.hint
+  };
+}
+
+// Shuffle and translate a copied bank question for one game, optionally with
+// a seeded generator
+export function prepareSessionQuestion(question, locale, random) {
+  const shuffled = shuffleOptions(question, random);
+
+  return {
+    ...question,
+    ...shuffled,
+    translation: localizeQuestion(question, locale, shuffled.optionOrder)
+  };
+}
+
+// A session question as the player sees it: translated text where the game's
+// language has it, the original otherwise. Indexes are unchanged.
+export function localizedView(question) {
+  const original = typeof question.toObject === 'function' ? question.toObject() : question;
+  const { translation } = original;
+  if (!translation) return original;
+
+  return {
+    ...original,
+    question: translation.question,
+    options: translation.options && translation.options.length > 0 ? translation.options : original.options,
+    explanation: translation.explanation || original.explanation,
+    hint: translation.hint || original.hint
+  };
+}
+
+// Tally an answer against the question's history across all games
+async function recordQuestionStats(question) {
+  const option = describeAnswer(question, question.selectedAnswer);
+  const counters = { timesAnswered: 1, timesCorrect: question.isCorrect ? 1 : 0 };
+
+  const result = await QuestionStats.updateOne(
+    { questionId: question.questionId, 'answers.option': option },
+    { $inc: { ...counters, 'answers.$.count': 1 } }
+  );
+
+  if (result.matchedCount === 0) {
+    await QuestionStats.updateOne(
+      { questionId: question.questionId },
+      { $inc: counters, $push: { answers: { option, count: 1 } } },
+      { upsert: true }
+    );
+  }
+}
+
+// Ratings of every question that has been answered, by question id
+async function loadQuestionRatings() {
+  const stats = await QuestionStats.find({ rating: { $exists: true } }).select('questionId rating').lean();
+  return new Map(stats.map(entry => [entry.questionId, entry.rating]));
+}
+
+// Ratings a game draws its questions with; the skip lifeline picks for a
+// single rung of the ladder
+async function getRatings(userId, rungs = {}) {
+  const user = await User.findById(userId).select('rating');
+  return {
+    player: (user && user.rating) ?? DEFAULT_RATING,
+    questions: await loadQuestionRatings(),
+    ...rungs
+  };
+}
+
+// Move the player's and the question's ratings after an answer
+async function recordRatings(userId, question) {
+  const [user, stats] = await Promise.all([
+    User.findById(userId).select('rating'),
+    QuestionStats.findOne({ questionId: question.questionId }).select('rating')
+  ]);
+  if (!user) return;
+
+  const ratings = updateRatings(
+    user.rating ?? DEFAULT_RATING,
+    stats && stats.rating != null ? stats.rating : questionRating(question),
+    question.isCorrect
+  );
+
+  await Promise.all([
+    User.updateOne({ _id: user._id }, { $set: { rating: ratings.player }, $inc: { ratedAnswers: 1 } }),
+    QuestionStats.updateOne({ questionId: question.questionId }, { $set: { rating: ratings.question } }, { upsert: true })
+  ]);
+}
+
+// Update the player's record of a question. A question missed in a game is
+// due for review straight away; each answer in a review game then schedules
+// the next one.
+async function recordQuestionHistory(session, question, now) {
+  const filter = { userId: session.userId, questionId: question.questionId };
+  const record = (await QuestionRecord.findOne(filter)) || new QuestionRecord(filter);
+
+  record.timesAnswered += 1;
+  if (question.isCorrect) record.timesCorrect += 1;
+  record.lastAnsweredAt = now;
+  record.lastCorrect = question.isCorrect;
+
+  if (isReview(session)) {
+    Object.assign(record, scheduleReview(record, question.isCorrect ? CORRECT_GRADE : MISSED_GRADE, now));
+  } else if (!question.isCorrect) {
+    Object.assign(record, scheduleReview(record, MISSED_GRADE, now), { dueAt: now });
+  }
+
+  await record.save();
+}
+
+// Draw the next batch of questions for an endless game, leaving out the ones
+// it has already served. Returns how many were added.
+async function addQuestionBatch(session) {
+  const mode = await getGameMode(session.modeId);
+  const batch = Math.floor(session.questions.length / mode.questionCount);
+  const mix = mode.batchMixes[Math.min(batch, mode.batchMixes.length - 1)];
+
+  const usedIds = session.questions.map(q => q.questionId);
+  const candidates = (await loadQuestionPool()).filter(q => !usedIds.includes(q.id));
+  const selected = selectGameQuestions(candidates, mix, {
+    history: await getQuestionHistory(session.userId),
+    categories: session.categories
+  });
+
+  selected.forEach((q, i) => {
+    session.questions.push({
+      ...prepareSessionQuestion(toSessionQuestion(q), session.locale),
+      questionNumber: session.questions.length + 1,
+      timeLimit: mode.timeLimits[i],
+      prizeValue: 0
+    });
+  });
+
+  return selected.length;
+}
+
+// Lock in the answer for the current question of an in-progress session,
+// advance or end the game and save it. Answers arriving after the time limit
+// plus grace period time the game out instead of counting. In practice,
+// review and time-attack games a wrong answer moves on too. The explanation
+// comes back with the result.
+export async function submitAnswer(session, selectedAnswer) {
+  const current = session.questions[session.currentQuestion];
+  const now = new Date();
+
+  if (checkTimeout(session, now)) {
+    await session.save();
+  } else {
+    current.selectedAnswer = selectedAnswer;
+    current.isCorrect = isCorrectAnswer(current, selectedAnswer);
+    current.answeredAt = now;
+    if (current.servedAt) current.responseTime = now - current.servedAt;
+    session.lastActivityAt = now;
+
+    if (current.isCorrect) session.correctAnswers += 1;
+
+    if (current.isCorrect || isUnranked(session) || isTimeAttack(session)) {
+      session.currentQuestion += 1;
+      if (session.currentQuestion >= session.questions.length && isEndless(session)) {
+        await addQuestionBatch(session);
+      }
+
+      if (session.currentQuestion >= session.questions.length) {
+        // An endless game only runs out when the bank does
+        finishSession(session, isUnranked(session) || isEndless(session) ? 'completed' : 'won');
+      } else {
+        serveQuestion(session, session.questions[session.currentQuestion], now);
+      }
+    } else {
+      finishSession(session, 'lost');
+    }
+
+    await session.save();
+
+    try {
+      // Review answers would skew the bank's figures towards questions people
+      // miss, and untimed practice answers are not a fair match for ratings
+      if (!isReview(session)) await recordQuestionStats(current);
+      if (!isUnranked(session)) await recordRatings(session.userId, current);
+      await recordQuestionHistory(session, current, now);
+    } catch (error) {
+      logger.error('Error recording question stats:', error);
+    }
+  }
+
+  return {
+    correct: current.isCorrect,
+    timedOut: current.timedOut,
+    responseTime: current.responseTime,
+    correctAnswer: current.correctAnswer,
+    currentPrize: calculatePrize(session),
+    guaranteedPrize: guaranteedPrize(session),
+    ...(isEndless(session) ? { score: session.score ?? calculateScore(session) } : {}),
+    status: session.status,
+    gameOver: session.status !== 'in_progress',
+    nextQuestion: session.status === 'in_progress' ? session.currentQuestion + 1 : null,
+    question: session.status === 'in_progress' ? toPublicQuestion(session.questions[session.currentQuestion], session) : null,
+    explanation: localizedView(current).explanation || null,
+    sourceUrl: current.sourceUrl || null
+  };
+}
+
+// Fold a finished practice game into the player's practice figures, leaving
+// the ranked stats alone
+async function recordPracticeStats(session) {
+  let stats = await Stats.findOne({ username: session.username });
+  if (!stats) {
+    const lastStat = await Stats.findOne().sort({ id: -1 });
+    stats = new Stats({
+      id: lastStat ? lastStat.id + 1 : 1,
+      userId: session.userId,
+      username: session.username
+    });
+  }
+
+  stats.practiceGamesPlayed += 1;
+  stats.practiceQuestionsAnswered += session.questions.filter(q => q.isCorrect !== null).length;
+  stats.practiceCorrectAnswers += session.correctAnswers;
+  stats.practiceAccuracy = stats.practiceQuestionsAnswered > 0 ?
+    Math.round((stats.practiceCorrectAnswers / stats.practiceQuestionsAnswered) * 100) : 0;
+  await stats.save();
+
+  return stats;
+}
+
+// Fold a finished session into the player's running stats
+async function recordGameStats(session, completionSeconds) {
+  const questionsAnswered = session.questions.filter(q => q.isCorrect !== null).length;
+  const gameCompleted = session.status === 'won';
+
+  let stats = await Stats.findOne({ username: session.username });
+  if (stats) {
+    // Older stats documents only kept a percentage, so rebuild the raw count once
+    if (stats.correctAnswers == null) {
+      stats.correctAnswers = Math.round((stats.accuracy / 100) * stats.questionsAnswered);
+    }
+    // Likewise seed total play time from the old client-reported average
+    if (stats.totalPlayTime == null) {
+      stats.totalPlayTime = parseCompletionTime(stats.averageCompletionTime) * stats.gamesPlayed;
+    }
+    stats.gamesPlayed += 1;
+    if (gameCompleted) stats.gamesCompleted += 1;
+    stats.totalPrizeMoney += session.finalPrize;
+    stats.questionsAnswered += questionsAnswered;
+    stats.correctAnswers += session.correctAnswers;
+    stats.totalPlayTime += completionSeconds;
+    stats.averageCompletionTime = formatCompletionTime(Math.round(stats.totalPlayTime / stats.gamesPlayed));
+  } else {
+    const lastStat = await Stats.findOne().sort({ id: -1 });
+    const newId = lastStat ? lastStat.id + 1 : 1;
+
+    stats = new Stats({
+      id: newId,
+      userId: session.userId,
+      username: session.username,
+      gamesPlayed: 1,
+      gamesCompleted: gameCompleted ? 1 : 0,
+      totalPrizeMoney: session.finalPrize,
+      questionsAnswered,
+      correctAnswers: session.correctAnswers,
+      totalPlayTime: completionSeconds,
+      averageCompletionTime: formatCompletionTime(completionSeconds)
+    });
+  }
+
+  stats.accuracy = stats.questionsAnswered > 0 ?
+    Math.round((stats.correctAnswers / stats.questionsAnswered) * 100) : 0;
+  await stats.save();
+
+  return stats;
+}
+
+// Add a finished session to a leaderboard, returning its 1-based position (0 if it fell off)
+async function addLeaderboardEntry(session, completionSeconds, board = 'global') {
+  let leaderboard = await Leaderboard.findBoard(board);
+  if (!leaderboard) {
+    leaderboard = new Leaderboard({ board, leaderboard: [] });
+  }
+
+  const lastEntry = leaderboard.leaderboard.length > 0
+    ? Math.max(...leaderboard.leaderboard.map(entry => entry.id))
+    : 0;
+  const newId = lastEntry + 1;
+
+  leaderboard.leaderboard.push({
+    id: newId,
+    userId: session.userId,
+    playerName: session.username,
+    prizeWon: session.finalPrize,
+    score: session.score,
+    questionsAnswered: session.questions.filter(q => q.isCorrect !== null).length,
+    totalQuestions: session.questions.length,
+    completionDate: session.completedAt,
+    completionTime: completionSeconds
+  });
+  // Faster games break ties, which matters on daily boards where everyone had the same questions
+  const ranking = isEndless(session) ? entry => entry.score : entry => entry.prizeWon;
+  leaderboard.leaderboard.sort((a, b) => ranking(b) - ranking(a) || a.completionTime - b.completionTime);
+
+  // Keep top 100 entries
+  if (leaderboard.leaderboard.length > 100) {
+    leaderboard.leaderboard = leaderboard.leaderboard.slice(0, 100);
+  }
+
+  await leaderboard.save();
+
+  return leaderboard.leaderboard.findIndex(entry => entry.id === newId) + 1;
+}
+
+// Whether a game can be sent as a challenge: a finished prize ladder. Daily
+// Challenges are left out so nobody gets a preview of today's questions.
+export function canChallenge(session) {
+  return session.status !== 'in_progress' && !session.dailyDate && !isUnranked(session) && !isEndless(session);
+}
+
+// A game's question set and ladder for someone else to replay: its questions
+// in order, each on the timer it started with
+export function toChallengeLadder(session) {
+  return {
+    modeId: session.modeId,
+    categories: session.categories,
+    safeHavens: session.safeHavens,
+    questions: session.questions.map(q => {
+      const extended = session.lifelinesUsed.some(l => l.name === 'timer-extension' && l.questionNumber === q.questionNumber);
+      return {
+        questionId: q.questionId,
+        level: q.level,
+        timeLimit: extended ? q.timeLimit - TIMER_EXTENSION_SECONDS : q.timeLimit,
+        prizeValue: q.prizeValue
+      };
+    })
+  };
+}
+
+// The ladder a challenge game is played on
+function toChallengeMode(challenge) {
+  const difficultyMix = {};
+  challenge.questions.forEach(q => {
+    difficultyMix[q.level] = (difficultyMix[q.level] || 0) + 1;
+  });
+
+  return {
+    modeId: challenge.modeId,
+    prizeLadder: challenge.questions.map(q => q.prizeValue),
+    timeLimits: challenge.questions.map(q => q.timeLimit),
+    safeHavens: challenge.safeHavens,
+    difficultyMix
+  };
+}
+
+// The better of two games on the same questions: more prize money, then more
+// correct answers, then the faster finish. Null for a draw.
+function betterGame(first, second) {
+  const time = session => session.completedAt - session.startedAt;
+  const difference = (first.finalPrize - second.finalPrize) ||
+    (first.correctAnswers - second.correctAnswers) ||
+    (time(second) - time(first));
+
+  if (difference === 0) return null;
+  return difference > 0 ? first : second;
+}
+
+// Settle the challenge a finished game was played for and let the challenger
+// know how it went
+async function recordChallengeResult(session) {
+  const challenge = await Challenge.findById(session.challengeId);
+  if (!challenge || challenge.status === 'completed') return;
+
+  const challengerGame = await GameSession.findById(challenge.challengerGameId);
+  const winner = challengerGame && betterGame(challengerGame, session);
+
+  challenge.status = 'completed';
+  challenge.winner = winner ? winner.userId : undefined;
+  challenge.completedAt = session.completedAt;
+  await challenge.save();
+
+  await notify(challenge.challengerId, 'challenge-completed', {
+    fromUsername: challenge.opponentUsername,
+    challengeId: String(challenge._id)
+  });
+}
+
+// Record the results of a finished session once: the questions the player
+// saw, their stats and, for ranked games, a leaderboard entry. The finished
+// session is saved first, so a copy that went stale while another request
+// changed the game fails with a VersionError before anything is counted. It is
+// then claimed with a single atomic update, so calls that overlap (a repeated
+// /complete, or one racing the abandoned-game sweep) count it only once; the
+// ones that lose get null.
+async function saveGameResults(session) {
+  await session.save();
+
+  const claimed = await GameSession.findOneAndUpdate(
+    { _id: session._id, resultsSaved: false },
+    { $set: { resultsSaved: true } }
+  );
+  if (!claimed) return null;
+  session.resultsSaved = true;
+
+  const completionSeconds = Math.round((session.completedAt - session.startedAt) / 1000);
+  await recordSeenQuestions(session);
+
+  // Review answers were already scheduled as they came in
+  if (isReview(session)) {
+    return { completionSeconds };
+  }
+
+  if (isPractice(session)) {
+    const stats = await recordPracticeStats(session);
+    return { stats, completionSeconds };
+  }
+
+  const stats = await recordGameStats(session, completionSeconds);
+
+  // Daily Challenge results go on the day's own board, every attempt ranked
+  let leaderboardPosition;
+  if (session.challengeId) {
+    // Challenge games replay questions someone else has seen, so they stay
+    // off the leaderboards
+    await recordChallengeResult(session);
+  } else if (session.dailyDate) {
+    updateDailyStreak(stats, session.dailyDate);
+    await stats.save();
+    leaderboardPosition = await addLeaderboardEntry(session, completionSeconds, getDailyBoard(session.dailyDate));
+  } else if (isEndless(session)) {
+    // Survival and time attack each have their own board, named after the mode
+    if (session.score > 0) {
+      leaderboardPosition = await addLeaderboardEntry(session, completionSeconds, session.modeId);
+    }
+  } else if (session.finalPrize > 0) {
+    leaderboardPosition = await addLeaderboardEntry(session, completionSeconds);
+  }
+
+  return { stats, completionSeconds, leaderboardPosition };
+}
+
+// Expire games nobody has touched for ABANDONED_GAME_MINUTES and save the
+// results of finished games the client never completed, so that every game
+// counts once in the player's stats. Returns how many games were closed out.
+export async function expireAbandonedSessions(filter = {}) {
+  const cutoff = new Date(Date.now() - ABANDONED_GAME_MINUTES * 60 * 1000);
+  const sessions = await GameSession.find({
+    ...filter,
+    resultsSaved: false,
+    // Games from before activity was tracked go by their start time
+    $or: [
+      { lastActivityAt: { $lt: cutoff } },
+      { lastActivityAt: { $exists: false }, startedAt: { $lt: cutoff } }
+    ]
+  });
+
+  let expired = 0;
+  for (const session of sessions) {
+    try {
+      if (session.status === 'in_progress') {
+        endUnfinishedSession(session, 'abandoned');
+      }
+      if (await saveGameResults(session)) expired += 1;
+    } catch (error) {
+      logger.error(`Error expiring game ${session._id}:`, error);
+    }
+  }
+
+  if (expired > 0) {
+    logger.info(`Expired ${expired} abandoned game${expired === 1 ? '' : 's'}`);
+  }
+  return expired;
+}
+
+const DAILY_MODE_ID = 'daily';
+
+// Mode ids the server already gives a meaning to, which admins cannot create
+export const RESERVED_MODE_IDS = [...BUILT_IN_MODES.map(mode => mode.modeId), DAILY_MODE_ID, 'challenge'];
+
+// Calendar day (UTC) as YYYY-MM-DD
+function getDateKey(date = new Date()) {
+  return date.toISOString().slice(0, 10);
+}
+
+// Generator for one Daily Challenge question's option order, the same for
+// every game that day
+function dailyOptionRng(dateKey, questionId) {
+  return createRng(`daily-${dateKey}-${questionId}`);
+}
+
+function getDailyBoard(dateKey) {
+  return `daily-${dateKey}`;
+}
+
+// The day's shared question set, created on first request from a generator
+// seeded with the date. It is stored so every player gets the same questions
+// even if the question bank changes during the day. Options are kept in their
+// original order here and shuffled when a game starts, seeded with the date
+// so every player sees them in the same order (see dailyOptionRng).
+async function getDailyChallenge(dateKey) {
+  const existing = await DailyChallenge.findOne({ date: dateKey });
+  if (existing) return existing;
+
+  const random = createRng(`daily-${dateKey}`);
+  const pool = (await loadQuestionPool()).sort((a, b) => a.id.localeCompare(b.id));
+  const selected = selectGameQuestions(pool, CLASSIC_MODE.difficultyMix, { random });
+
+  const challenge = new DailyChallenge({
+    date: dateKey,
+    questions: selected.map(toSessionQuestion),
+    prizeLadder: CLASSIC_MODE.prizeLadder,
+    timeLimits: CLASSIC_MODE.timeLimits,
+    safeHavens: CLASSIC_MODE.safeHavens,
+    difficultyMix: CLASSIC_MODE.difficultyMix
+  });
+
+  try {
+    await challenge.save();
+    return challenge;
+  } catch (error) {
+    // Another request created the day's challenge first
+    if (error.code === 11000) return DailyChallenge.findOne({ date: dateKey });
+    throw error;
+  }
+}
+
+// Extend, keep or restart the player's daily streak after a completed challenge
+function updateDailyStreak(stats, dateKey) {
+  if (stats.lastDailyDate === dateKey) return;
+
+  const yesterday = new Date(`${dateKey}T00:00:00Z`);
+  yesterday.setUTCDate(yesterday.getUTCDate() - 1);
+
+  stats.dailyStreak = stats.lastDailyDate === getDateKey(yesterday) ? stats.dailyStreak + 1 : 1;
+  stats.longestDailyStreak = Math.max(stats.longestDailyStreak, stats.dailyStreak);
+  stats.lastDailyDate = dateKey;
+}
+
+// A streak only counts as current if the last challenge was today or yesterday
+function currentDailyStreak(stats, dateKey) {
+  if (!stats || !stats.lastDailyDate) return 0;
+
+  const yesterday = new Date(`${dateKey}T00:00:00Z`);
+  yesterday.setUTCDate(yesterday.getUTCDate() - 1);
+
+  return [dateKey, getDateKey(yesterday)].includes(stats.lastDailyDate) ? stats.dailyStreak : 0;
+}
+
+// Lifelines that make sense for the current question of a game: those that
+// suit its type, nothing to extend without a clock, and no skipping a review
+// or a challenge's set questions. Endless games are played without lifelines
+// so that scores compare fairly.
+function availableLifelines(session) {
+  if (isEndless(session)) return [];
+
+  const current = session.questions[session.currentQuestion];
+  return (current ? lifelinesForQuestion(current) : LIFELINES)
+    .filter(name => !isUnranked(session) || name !== 'timer-extension')
+    .filter(name => !(isReview(session) || session.challengeId) || name !== 'skip');
+}
+
+// Client-facing view of a session question, without the answer
+function toPublicQuestion(q, session) {
+  const view = localizedView(q);
+
+  return {
+    id: q.questionId,
+    question: view.question,
+    type: q.type,
+    options: view.options,
+    media: toPublicMedia(q.media),
+    questionNumber: q.questionNumber,
+    timeLimit: q.timeLimit,
+    level: q.level,
+    category: q.category,
+    prizeValue: q.prizeValue,
+    safeHaven: session.safeHavens.includes(q.questionNumber)
+  };
+}
+
+// A question of a finished game as the player saw and answered it
+function toReviewQuestion(q, session) {
+  return {
+    ...toPublicQuestion(q, session),
+    removedOptions: q.removedOptions,
+    selectedAnswer: q.selectedAnswer,
+    correctAnswer: q.correctAnswer,
+    isCorrect: q.isCorrect,
+    timedOut: q.timedOut,
+    responseTime: q.responseTime,
+    explanation: localizedView(q).explanation || null,
+    sourceUrl: q.sourceUrl || null
+  };
+}
+
+// Questions a finished game got as far as serving
+function servedQuestions(session) {
+  return session.questions.filter(q => q.questionNumber <= session.currentQuestion + 1);
+}
+
+// One line of a player's game history
+export function toGameSummary(session) {
+  return {
+    gameId: session._id,
+    modeId: session.modeId,
+    ...(session.dailyDate ? { dailyDate: session.dailyDate } : {}),
+    status: session.status,
+    finalPrize: session.finalPrize,
+    ...(isEndless(session) ? { score: session.score } : {}),
+    correctAnswers: session.correctAnswers,
+    questionsAnswered: session.questions.filter(q => q.isCorrect !== null).length,
+    totalQuestions: session.questions.length,
+    lifelinesUsed: session.lifelinesUsed.map(l => l.name),
+    startedAt: session.startedAt,
+    completedAt: session.completedAt,
+    completionTime: Math.round((session.completedAt - session.startedAt) / 1000)
+  };
+}
+
+// A finished game answer by answer, with the lifelines used on each question
+export function toGameReplay(session) {
+  return {
+    ...toGameSummary(session),
+    locale: session.locale,
+    categories: session.categories,
+    safeHavens: session.safeHavens,
+    averageResponseTime: averageResponseTime(session),
+    questions: servedQuestions(session).map(q => ({
+      ...toReviewQuestion(q, session),
+      servedAt: q.servedAt,
+      answeredAt: q.answeredAt,
+      lifelinesUsed: session.lifelinesUsed
+        .filter(l => l.questionNumber === q.questionNumber)
+        .map(l => ({ name: l.name, usedAt: l.usedAt, ...(l.questionId ? { skippedQuestionId: l.questionId } : {}) }))
+    }))
+  };
+}
+
+// Summary of a game that has just ended
+function gameOverSummary(session) {
+  return {
+    status: session.status,
+    finalPrize: session.finalPrize,
+    ...(isEndless(session) ? { score: session.score } : {}),
+    correctAnswers: session.correctAnswers,
+    gameOver: true
+  };
+}
+
+// Mean seconds taken per answered question, to one decimal place
+function averageResponseTime(session) {
+  const times = session.questions.filter(q => q.responseTime != null).map(q => q.responseTime);
+  if (times.length === 0) return 0;
+  return Math.round(times.reduce((sum, time) => sum + time, 0) / times.length / 100) / 10;
+}
+
+// Load a session owned by the authenticated user, or send the error response
+async function findUserSession(req, res) {
+  const gameId = req.params.gameId || req.body.gameId;
+
+  if (!gameId) {
+    res.status(400).json({ error: t(req, 'game.gameIdRequired') });
+    return null;
+  }
+
+  const session = mongoose.Types.ObjectId.isValid(gameId) ? await GameSession.findById(gameId) : null;
+  if (!session || session.userId !== String(req.user.id)) {
+    res.status(404).json({ error: t(req, 'game.notFound') });
+    return null;
+  }
+
+  // Reply in the language the game is being played in
+  req.locale = session.locale;
+  return session;
+}
+
+// API: List the game modes players can choose from
+router.get('/modes', async (req, res) => {
+  try {
+    const modes = await GameMode.find({ isActive: true }).lean();
+    if (!modes.some(mode => mode.modeId === CLASSIC_MODE.modeId)) {
+      modes.unshift(CLASSIC_MODE);
+    }
+    modes.push(...BUILT_IN_MODES);
+
+    res.json({
+      modes: modes.map(mode => ({
+        modeId: mode.modeId,
+        name: mode.name,
+        description: mode.description,
+        // Endless modes have no fixed length; questionCount is the batch size
+        questionCount: mode.questionCount,
+        endless: Boolean(mode.endless),
+        topPrize: mode.prizeLadder[mode.prizeLadder.length - 1],
+        safeHavens: mode.safeHavens || [],
+        gameStructure: buildGameStructure(mode)
+      }))
+    });
+  } catch (error) {
+    logger.error('Error fetching game modes:', error);
+    res.status(500).json({ error: t(req, 'game.modesError') });
+  }
+});
+
+// API: How much of the question bank the player has not seen yet
+router.get('/unseen', authenticateToken, async (req, res) => {
+  try {
+    const seenIds = new Set(await getQuestionHistory(req.user.id));
+    const pool = await loadQuestionPool();
+
+    const byDifficulty = {};
+    for (const difficulty of DIFFICULTIES) {
+      const questions = pool.filter(q => getDifficulty(q) === difficulty);
+      byDifficulty[difficulty] = {
+        total: questions.length,
+        unseen: questions.filter(q => !seenIds.has(q.id)).length
+      };
+    }
+
+    const unseen = pool.filter(q => !seenIds.has(q.id)).length;
+
+    res.json({
+      total: pool.length,
+      seen: pool.length - unseen,
+      unseen,
+      byDifficulty
+    });
+  } catch (error) {
+    logger.error('Error fetching unseen question count:', error);
+    res.status(500).json({ error: t(req, 'game.unseenError') });
+  }
+});
+
+// API: Today's Daily Challenge: whether the player has played it and their streak
+router.get('/daily', authenticateToken, async (req, res) => {
+  try {
+    const dateKey = getDateKey();
+    const challenge = await getDailyChallenge(dateKey);
+    const attempt = await GameSession.findOne({ userId: String(req.user.id), dailyDate: dateKey });
+    const stats = await Stats.findOne({ username: req.user.username });
+
+    res.json({
+      date: dateKey,
+      totalQuestions: challenge.questions.length,
+      gameStructure: buildGameStructure(challenge),
+      played: Boolean(attempt),
+      ...(attempt ? {
+        result: {
+          gameId: attempt._id,
+          status: attempt.status,
+          finalPrize: attempt.finalPrize,
+          correctAnswers: attempt.correctAnswers
+        }
+      } : {}),
+      streak: {
+        current: currentDailyStreak(stats, dateKey),
+        longest: stats ? stats.longestDailyStreak : 0
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching daily challenge:', error);
+    res.status(500).json({ error: t(req, 'game.dailyError') });
+  }
+});
+
+// API: Leaderboard for a day's Daily Challenge (defaults to today)
+router.get('/daily/leaderboard', identifyUser, async (req, res) => {
+  try {
+    const dateKey = req.query.date || getDateKey();
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(dateKey)) {
+      return res.status(400).json({ error: t(req, 'game.invalidDate') });
+    }
+
+    const leaderboard = await Leaderboard.findBoard(getDailyBoard(dateKey));
+
+    res.json({
+      date: dateKey,
+      leaderboard: leaderboard ? await hidePrivateEntries(leaderboard.leaderboard, req.user && req.user.id) : []
+    });
+  } catch (error) {
+    logger.error('Error fetching daily leaderboard:', error);
+    res.status(500).json({ error: t(req, 'game.dailyLeaderboardError') });
+  }
+});
+
+// API: Best scores in survival (longest streak) or time attack (correct
+// answers in the time allowed)
+router.get('/:modeId(survival|time-attack)/leaderboard', identifyUser, async (req, res) => {
+  try {
+    const leaderboard = await Leaderboard.findBoard(req.params.modeId);
+
+    res.json({
+      modeId: req.params.modeId,
+      leaderboard: leaderboard ? await hidePrivateEntries(leaderboard.leaderboard, req.user && req.user.id) : []
+    });
+  } catch (error) {
+    logger.error('Error fetching mode leaderboard:', error);
+    res.status(500).json({ error: t(req, 'game.modeLeaderboardError') });
+  }
+});
+
+// API: Practice accuracy overall and for recent practice games, oldest first,
+// so players can see how they are improving
+router.get('/practice/stats', authenticateToken, async (req, res) => {
+  try {
+    const stats = await Stats.findOne({ username: req.user.username });
+    const recentGames = await GameSession.find({
+      userId: String(req.user.id),
+      modeId: PRACTICE_MODE.modeId,
+      resultsSaved: true
+    }).sort({ completedAt: -1 }).limit(10);
+
+    res.json({
+      gamesPlayed: stats ? stats.practiceGamesPlayed : 0,
+      questionsAnswered: stats ? stats.practiceQuestionsAnswered : 0,
+      correctAnswers: stats ? stats.practiceCorrectAnswers : 0,
+      accuracy: stats ? stats.practiceAccuracy : 0,
+      recentGames: recentGames.reverse().map(session => {
+        const answered = session.questions.filter(q => q.isCorrect !== null).length;
+        return {
+          gameId: session._id,
+          completedAt: session.completedAt,
+          questionsAnswered: answered,
+          correctAnswers: session.correctAnswers,
+          accuracy: answered > 0 ? Math.round((session.correctAnswers / answered) * 100) : 0
+        };
+      })
+    });
+  } catch (error) {
+    logger.error('Error fetching practice stats:', error);
+    res.status(500).json({ error: t(req, 'game.practiceStatsError') });
+  }
+});
+
+// API: Start a new game session using the ladder, timers and difficulty mix of
+// a game mode. The 'daily' mode plays the day's shared Daily Challenge.
+router.post('/questions', authenticateToken, async (req, res) => {
+  try {
+    const { username, id: userId } = req.user;
+    const { modeId } = req.body;
+    const categories = parseCategories(req.body.categories ?? req.body.category);
+
+    const player = await User.findById(userId).select('language');
+    const locale = resolveLocale(req, player && player.language);
+    req.locale = locale;
+
+    if (!categories) {
+      return res.status(400).json({ error: t(req, 'game.unknownCategory') });
+    }
+
+    let mode;
+    let sessionQuestions;
+    let dailyDate;
+    let challenge;
+
+    if (req.body.challengeId) {
+      // A challenge is played on the challenger's questions, whatever the mode
+      challenge = mongoose.Types.ObjectId.isValid(req.body.challengeId)
+        ? await Challenge.findById(req.body.challengeId)
+        : null;
+      if (!challenge || challenge.opponentId !== String(userId)) {
+        return res.status(404).json({ error: t(req, 'game.challengeNotFound') });
+      }
+      if (challenge.opponentGameId) {
+        return res.status(409).json({ error: t(req, 'game.challengePlayed'), gameId: challenge.opponentGameId });
+      }
+      if (challenge.status !== 'accepted') {
+        return res.status(409).json({ error: t(req, 'game.challengeNotAccepted') });
+      }
+
+      const pool = new Map((await loadQuestionPool()).map(q => [q.id, q]));
+      if (challenge.questions.some(q => !pool.has(q.questionId))) {
+        return res.status(409).json({ error: t(req, 'game.challengeUnavailable') });
+      }
+
+      mode = toChallengeMode(challenge);
+      sessionQuestions = challenge.questions.map(q => toSessionQuestion(pool.get(q.questionId)));
+    } else if (String(modeId || '').toLowerCase() === DAILY_MODE_ID) {
+      dailyDate = getDateKey();
+
+      const attempt = await GameSession.findOne({ userId: String(userId), dailyDate });
+      if (attempt) {
+        return res.status(409).json({
+          error: t(req, 'game.dailyPlayed'),
+          gameId: attempt._id
+        });
+      }
+
+      const challenge = await getDailyChallenge(dailyDate);
+      mode = {
+        modeId: DAILY_MODE_ID,
+        prizeLadder: challenge.prizeLadder,
+        timeLimits: challenge.timeLimits,
+        safeHavens: challenge.safeHavens,
+        difficultyMix: challenge.difficultyMix
+      };
+      sessionQuestions = challenge.questions.map(q => q.toObject());
+    } else if (String(modeId || '').toLowerCase() === REVIEW_MODE.modeId) {
+      mode = REVIEW_MODE;
+
+      // Most overdue first; questions since removed from the bank drop out
+      const due = await QuestionRecord.find({ userId: String(userId), dueAt: { $lte: new Date() } })
+        .sort({ dueAt: 1 })
+        .limit(mode.questionCount);
+      const pool = new Map((await loadQuestionPool()).map(q => [q.id, q]));
+      sessionQuestions = due
+        .map(record => pool.get(record.questionId))
+        .filter(Boolean)
+        .map(toSessionQuestion);
+
+      if (sessionQuestions.length === 0) {
+        const queue = await getReviewQueue(userId);
+        return res.status(409).json({ error: t(req, 'game.nothingDue'), nextDueAt: queue.nextDueAt });
+      }
+    } else {
+      mode = await getGameMode(modeId || undefined);
+      if (!mode) {
+        return res.status(404).json({ error: t(req, 'game.modeNotFound') });
+      }
+
+      const history = await getQuestionHistory(userId);
+      // Endless games follow their batches' difficulty rather than the player's rating
+      const ratings = isEndless(mode) ? undefined : await getRatings(userId);
+      const selectedQuestions = selectGameQuestions(await loadQuestionPool(), mode.difficultyMix, { history, categories, ratings });
+
+      if (selectedQuestions.length < mode.questionCount) {
+        logger.warn(`Only ${selectedQuestions.length} questions available for a ${mode.questionCount}-question ${mode.modeId} game`);
+      }
+
+      sessionQuestions = selectedQuestions.map(toSessionQuestion);
+    }
+
+    const session = new GameSession({
+      userId: String(userId),
+      username,
+      modeId: mode.modeId,
+      dailyDate,
+      challengeId: challenge && String(challenge._id),
+      categories: challenge ? challenge.categories : dailyDate ? [] : categories,
+      locale,
+      safeHavens: mode.safeHavens || [],
+      questions: sessionQuestions.map((q, i) => ({
+        ...prepareSessionQuestion(q, locale, dailyDate ? dailyOptionRng(dailyDate, q.questionId) : undefined),
+        questionNumber: i + 1,
+        timeLimit: mode.timeLimits[i],
+        prizeValue: mode.prizeLadder[i]
+      }))
+    });
+    if (session.questions.length > 0) {
+      serveQuestion(session, session.questions[0], session.startedAt);
+    }
+    try {
+      await session.save();
+    } catch (error) {
+      // Another request started today's Daily Challenge first
+      if (error.code === 11000 && dailyDate) {
+        const attempt = await GameSession.findOne({ userId: String(userId), dailyDate });
+        return res.status(409).json({ error: t(req, 'game.dailyPlayed'), gameId: attempt && attempt._id });
+      }
+      throw error;
+    }
+
+    // Players have one game at a time; starting another abandons the old one.
+    // This waits until the new game is saved, so a start that is refused
+    // leaves the game in progress alone.
+    const unfinished = await GameSession.find({ userId: String(userId), status: 'in_progress', _id: { $ne: session._id } });
+    for (const previous of unfinished) {
+      endUnfinishedSession(previous, 'abandoned');
+      await saveGameResults(previous);
+      logger.info(`Game ${previous._id} abandoned for a new game by ${username}`);
+    }
+
+    if (challenge) {
+      challenge.opponentGameId = String(session._id);
+      await challenge.save();
+    }
+
+    // Log question selection for debugging
+    logger.info(`Generated ${session.questions.length} questions for game ${session._id}:`, {
+      easy: session.questions.filter(q => q.level === 'easy').length,
+      medium: session.questions.filter(q => q.level === 'medium').length,
+      hard: session.questions.filter(q => q.level === 'hard').length,
+      questionIds: session.questions.map(q => q.questionId)
+    });
+
+    // Only the question being played is sent; each answer returns the next one
+    const first = session.questions[0];
+
+    res.json({
+      gameId: session._id,
+      modeId: mode.modeId,
+      locale,
+      ...(dailyDate ? { dailyDate } : {}),
+      ...(challenge ? { challengeId: challenge._id } : {}),
+      categories: session.categories,
+      question: first ? toPublicQuestion(first, session) : null,
+      timeRemaining: first ? secondsRemaining(first) : null,
+      totalQuestions: session.questions.length,
+      safeHavens: session.safeHavens,
+      gameStructure: buildGameStructure(mode)
+    });
+  } catch (error) {
+    if (error instanceof mongoose.Error.VersionError) {
+      return res.status(409).json({ error: t(req, 'game.changed') });
+    }
+    logger.error('Error fetching game questions:', error);
+    res.status(500).json({ error: t(req, 'game.questionsError') });
+  }
+});
+
+// How many of a player's missed questions are due for review now, and when
+// the next of the rest comes up
+async function getReviewQueue(userId, now = new Date()) {
+  const records = await QuestionRecord.find({ userId: String(userId), dueAt: { $ne: null } }).sort({ dueAt: 1 });
+  const upcoming = records.filter(record => record.dueAt > now);
+
+  return {
+    due: records.length - upcoming.length,
+    scheduled: upcoming.length,
+    nextDueAt: upcoming.length > 0 ? upcoming[0].dueAt : null
+  };
+}
+
+// API: The player's review queue: questions due now and those scheduled later
+router.get('/review-queue', authenticateToken, async (req, res) => {
+  try {
+    res.json(await getReviewQueue(req.user.id));
+  } catch (error) {
+    logger.error('Error fetching review queue:', error);
+    res.status(500).json({ error: t(req, 'game.reviewQueueError') });
+  }
+});
+
+// The authenticated player's in-progress game, once any of their games that
+// have expired are closed out
+async function findCurrentSession(req) {
+  const userId = String(req.user.id);
+  await expireAbandonedSessions({ userId });
+
+  const session = await GameSession.findOne({ userId, status: 'in_progress' }).sort({ startedAt: -1 });
+  if (session) req.locale = session.locale;
+  return session;
+}
+
+// API: Resume the game in progress after a reload or disconnect: where the
+// player is, the current question, the clock and the lifelines left
+router.get('/current', authenticateToken, async (req, res) => {
+  try {
+    const session = await findCurrentSession(req);
+    if (!session) {
+      return res.status(404).json({ error: t(req, 'game.noCurrent') });
+    }
+
+    if (checkTimeout(session)) {
+      await session.save();
+      return res.status(409).json({ error: t(req, 'game.timeUp'), gameId: session._id, ...gameOverSummary(session) });
+    }
+
+    const current = session.questions[session.currentQuestion];
+    const used = session.lifelinesUsed.map(l => l.name);
+
+    res.json({
+      gameId: session._id,
+      modeId: session.modeId,
+      locale: session.locale,
+      ...(session.dailyDate ? { dailyDate: session.dailyDate } : {}),
+      categories: session.categories,
+      totalQuestions: session.questions.length,
+      safeHavens: session.safeHavens,
+      question: toPublicQuestion(current, session),
+      removedOptions: current.removedOptions,
+      servedAt: current.servedAt,
+      timeRemaining: secondsRemaining(current),
+      correctAnswers: session.correctAnswers,
+      currentPrize: calculatePrize(session),
+      guaranteedPrize: guaranteedPrize(session),
+      lifelines: {
+        available: availableLifelines(session).filter(name => !used.includes(name)),
+        used: session.lifelinesUsed
+      },
+      startedAt: session.startedAt,
+      elapsedSeconds: Math.round((Date.now() - session.startedAt) / 1000)
+    });
+  } catch (error) {
+    logger.error('Error fetching current game:', error);
+    res.status(500).json({ error: t(req, 'game.currentError') });
+  }
+});
+
+// API: Forfeit the game in progress. It counts as played and keeps only the
+// last safe haven reached.
+router.delete('/current', authenticateToken, async (req, res) => {
+  try {
+    const session = await findCurrentSession(req);
+    if (!session) {
+      return res.status(404).json({ error: t(req, 'game.noCurrent') });
+    }
+
+    endUnfinishedSession(session, 'forfeited');
+    const results = await saveGameResults(session);
+    if (!results) {
+      return res.status(409).json({ error: t(req, 'game.resultsSaved') });
+    }
+    const { stats } = results;
+
+    logger.info(`Player ${session.username} left game ${session._id} as ${session.status}`);
+
+    res.json({
+      gameId: session._id,
+      ...gameOverSummary(session),
+      // Review games leave the player's stats alone
+      stats: stats ? {
+        gamesPlayed: isPractice(session) ? stats.practiceGamesPlayed : stats.gamesPlayed
+      } : null
+    });
+  } catch (error) {
+    if (error instanceof mongoose.Error.VersionError) {
+      return res.status(409).json({ error: t(req, 'game.changed') });
+    }
+    logger.error('Error forfeiting game:', error);
+    res.status(500).json({ error: t(req, 'game.forfeitError') });
+  }
+});
+
+// API: Current question of a game with the time left to answer it
+router.get('/:gameId/question', authenticateToken, async (req, res) => {
+  try {
+    const session = await findUserSession(req, res);
+    if (!session) return;
+
+    if (checkTimeout(session)) {
+      await session.save();
+    }
+
+    if (session.status !== 'in_progress') {
+      return res.status(409).json({ error: t(req, 'game.over'), ...gameOverSummary(session) });
+    }
+
+    const current = session.questions[session.currentQuestion];
+
+    res.json({
+      question: toPublicQuestion(current, session),
+      removedOptions: current.removedOptions,
+      servedAt: current.servedAt,
+      timeRemaining: secondsRemaining(current)
+    });
+  } catch (error) {
+    logger.error('Error fetching current question:', error);
+    res.status(500).json({ error: t(req, 'game.currentQuestionError') });
+  }
+});
+
+// API: Submit the answer for the current question of a game
+router.post('/:gameId/answer', authenticateToken, async (req, res) => {
+  try {
+    const session = await findUserSession(req, res);
+    if (!session) return;
+
+    if (session.status !== 'in_progress') {
+      return res.status(409).json({ error: t(req, 'game.over') });
+    }
+
+    const { questionNumber, answer } = req.body;
+    const current = session.questions[session.currentQuestion];
+
+    if (questionNumber !== undefined && Number(questionNumber) !== current.questionNumber) {
+      return res.status(409).json({
+        error: t(req, 'game.wrongQuestion'),
+        currentQuestion: current.questionNumber
+      });
+    }
+
+    const selectedAnswer = resolveAnswer(localizedView(current), answer);
+    if (selectedAnswer === null) {
+      return res.status(400).json({ error: t(req, 'game.invalidAnswer', { type: current.type }) });
+    }
+
+    res.json(await submitAnswer(session, selectedAnswer));
+  } catch (error) {
+    if (error instanceof mongoose.Error.VersionError) {
+      return res.status(409).json({ error: t(req, 'game.answerConflict') });
+    }
+    logger.error('Error submitting answer:', error);
+    res.status(500).json({ error: t(req, 'game.answerError') });
+  }
+});
+
+// API: Lifelines still available in a game
+router.get('/:gameId/lifelines', authenticateToken, async (req, res) => {
+  try {
+    const session = await findUserSession(req, res);
+    if (!session) return;
+
+    const used = session.lifelinesUsed.map(l => l.name);
+
+    res.json({
+      available: availableLifelines(session).filter(name => !used.includes(name)),
+      used: session.lifelinesUsed
+    });
+  } catch (error) {
+    logger.error('Error fetching lifelines:', error);
+    res.status(500).json({ error: t(req, 'game.lifelinesError') });
+  }
+});
+
+// API: Use a lifeline on the current question of a game (once per game)
+router.post('/:gameId/lifelines/:lifeline', authenticateToken, async (req, res) => {
+  try {
+    const { lifeline } = req.params;
+    if (!LIFELINES.includes(lifeline)) {
+      return res.status(400).json({ error: t(req, 'game.unknownLifeline'), lifelines: LIFELINES });
+    }
+
+    const session = await findUserSession(req, res);
+    if (!session) return;
+
+    if (session.status !== 'in_progress') {
+      return res.status(409).json({ error: t(req, 'game.over') });
+    }
+
+    if (checkTimeout(session)) {
+      await session.save();
+      return res.status(409).json({ error: t(req, 'game.timeUp'), ...gameOverSummary(session) });
+    }
+
+    if (!availableLifelines(session).includes(lifeline)) {
+      return res.status(400).json({ error: t(req, 'game.lifelineUnavailable', { lifeline }) });
+    }
+
+    if (session.lifelinesUsed.some(l => l.name === lifeline)) {
+      return res.status(409).json({ error: t(req, 'game.lifelineUsed', { lifeline }) });
+    }
+
+    const current = session.questions[session.currentQuestion];
+    const usage = { name: lifeline, questionNumber: current.questionNumber };
+    let result;
+
+    if (lifeline === '50-50') {
+      const removed = fiftyFifty(current);
+      current.removedOptions = [...current.removedOptions, ...removed];
+      result = { removedOptions: removed };
+    } else if (lifeline === 'audience') {
+      const questionStats = await QuestionStats.findOne({ questionId: current.questionId });
+      // The poll works on the original options, which the answer history uses
+      const { options } = localizedView(current);
+      result = {
+        poll: audiencePoll(current, questionStats).map(entry => ({ ...entry, text: options[entry.option] }))
+      };
+    } else if (lifeline === 'hint') {
+      result = { hint: hint(localizedView(current), session.locale) };
+    } else if (lifeline === 'skip') {
+      // Swap in an unused question of the same difficulty, preferring the
+      // game's categories and ones the player has not seen before
+      const usedIds = [...session.questions.map(q => q.questionId), ...getSeenQuestionIds(session)];
+      const candidates = (await loadQuestionPool()).filter(q => !usedIds.includes(q.id));
+      const [replacement] = selectGameQuestions(candidates, { [current.level]: 1 }, {
+        history: await getQuestionHistory(session.userId),
+        categories: session.categories,
+        ratings: await getRatings(session.userId, {
+          firstRung: current.questionNumber - 1,
+          totalRungs: session.questions.length
+        })
+      });
+      if (!replacement) {
+        return res.status(409).json({ error: t(req, 'game.noReplacement') });
+      }
+
+      usage.questionId = current.questionId;
+      Object.assign(current, {
+        ...prepareSessionQuestion(toSessionQuestion(replacement), session.locale),
+        removedOptions: [],
+        servedAt: new Date()
+      });
+      result = { question: toPublicQuestion(current, session) };
+    } else if (lifeline === 'timer-extension') {
+      current.timeLimit += TIMER_EXTENSION_SECONDS;
+      result = { timeLimit: current.timeLimit, extendedBy: TIMER_EXTENSION_SECONDS };
+    }
+
+    session.lifelinesUsed.push(usage);
+    session.lastActivityAt = new Date();
+    await session.save();
+
+    logger.info(`Lifeline ${lifeline} used in game ${session._id} on question ${current.questionNumber}`);
+
+    res.json({
+      lifeline,
+      questionNumber: current.questionNumber,
+      ...result,
+      remainingLifelines: availableLifelines(session).filter(name => !session.lifelinesUsed.some(l => l.name === name))
+    });
+  } catch (error) {
+    logger.error('Error using lifeline:', error);
+    res.status(500).json({ error: t(req, 'game.lifelineError') });
+  }
+});
+
+// API: Walk away from a game, keeping the winnings so far
+router.post('/:gameId/walk-away', authenticateToken, async (req, res) => {
+  try {
+    const session = await findUserSession(req, res);
+    if (!session) return;
+
+    if (session.status !== 'in_progress') {
+      return res.status(409).json({ error: t(req, 'game.over') });
+    }
+
+    if (checkTimeout(session)) {
+      await session.save();
+      return res.status(409).json({ error: t(req, 'game.timeUp'), ...gameOverSummary(session) });
+    }
+
+    finishSession(session, 'walked_away');
+    await session.save();
+
+    logger.info(`Player ${session.username} walked away from game ${session._id} with ${session.finalPrize}`);
+
+    res.json(gameOverSummary(session));
+  } catch (error) {
+    logger.error('Error walking away from game:', error);
+    res.status(500).json({ error: t(req, 'game.walkAwayError') });
+  }
+});
+
+// API: Review a finished game question by question, in the option order the
+// player saw
+router.get('/:gameId/review', authenticateToken, async (req, res) => {
+  try {
+    const session = await findUserSession(req, res);
+    if (!session) return;
+
+    if (session.status === 'in_progress') {
+      return res.status(409).json({ error: t(req, 'game.inProgress') });
+    }
+
+    const questions = servedQuestions(session).map(q => toReviewQuestion(q, session));
+
+    res.json({
+      gameId: session._id,
+      modeId: session.modeId,
+      ...gameOverSummary(session),
+      questions
+    });
+  } catch (error) {
+    logger.error('Error fetching game review:', error);
+    res.status(500).json({ error: t(req, 'game.reviewError') });
+  }
+});
+
+// API: Complete game and save results computed from the recorded answers
+router.post('/complete', authenticateToken, async (req, res) => {
+  try {
+    const session = await findUserSession(req, res);
+    if (!session) return;
+
+    if (session.resultsSaved) {
+      return res.status(409).json({ error: t(req, 'game.resultsSaved') });
+    }
+
+    // Saving a game that is still undecided counts as walking away, unless
+    // the clock on the current question has already run out
+    if (!checkTimeout(session) && session.status === 'in_progress') {
+      finishSession(session, 'walked_away');
+    }
+
+    const results = await saveGameResults(session);
+    if (!results) {
+      return res.status(409).json({ error: t(req, 'game.resultsSaved') });
+    }
+    const { stats, completionSeconds, leaderboardPosition } = results;
+
+    if (isReview(session)) {
+      return res.json({
+        success: true,
+        message: t(req, 'game.reviewSaved'),
+        result: {
+          status: session.status,
+          correctAnswers: session.correctAnswers,
+          questionsAnswered: session.questions.filter(q => q.isCorrect !== null).length,
+          totalQuestions: session.questions.length,
+          completionTime: completionSeconds
+        },
+        reviewQueue: await getReviewQueue(session.userId)
+      });
+    }
+
+    if (isPractice(session)) {
+      return res.json({
+        success: true,
+        message: t(req, 'game.practiceSaved'),
+        result: {
+          status: session.status,
+          correctAnswers: session.correctAnswers,
+          questionsAnswered: session.questions.filter(q => q.isCorrect !== null).length,
+          totalQuestions: session.questions.length,
+          completionTime: completionSeconds
+        },
+        practiceStats: {
+          gamesPlayed: stats.practiceGamesPlayed,
+          accuracy: stats.practiceAccuracy
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: leaderboardPosition !== undefined ? t(req, 'game.saved') : t(req, 'game.statsUpdated'),
+      ...(leaderboardPosition !== undefined ? { leaderboardPosition } : {}),
+      result: {
+        status: session.status,
+        finalPrize: session.finalPrize,
+        ...(isEndless(session) ? { score: session.score } : {}),
+        correctAnswers: session.correctAnswers,
+        totalQuestions: session.questions.length,
+        completionTime: completionSeconds,
+        averageResponseTime: averageResponseTime(session),
+        lifelinesUsed: session.lifelinesUsed.map(l => l.name)
+      },
+      stats: {
+        gamesPlayed: stats.gamesPlayed,
+        totalPrize: stats.totalPrizeMoney,
+        accuracy: stats.accuracy,
+        ...(session.dailyDate ? { dailyStreak: stats.dailyStreak } : {})
+      }
+    });
+  } catch (error) {
+    if (error instanceof mongoose.Error.VersionError) {
+      return res.status(409).json({ error: t(req, 'game.changed') });
+    }
+    logger.error('Error saving game results:', error);
+    res.status(500).json({ error: t(req, 'game.saveError') });
+  }
+});
+
+export default router;
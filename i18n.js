@@ -0,0 +1,77 @@
+// Localisation: message catalogs in locales/<locale>.json, locale negotiation
+// from the profile setting or Accept-Language, and question translations.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const LOCALES_DIR = path.join(__dirname, 'locales');
+
+export const DEFAULT_LOCALE = 'en';
+
+const catalogs = Object.fromEntries(
+  fs.readdirSync(LOCALES_DIR)
+    .filter(file => file.endsWith('.json'))
+    .map(file => [path.basename(file, '.json'), JSON.parse(fs.readFileSync(path.join(LOCALES_DIR, file), 'utf-8'))])
+);
+
+// Locales with a message catalog
+export const SUPPORTED_LOCALES = Object.keys(catalogs);
+
+// Primary language subtag of a locale, e.g. 'es-MX' -> 'es'; null if malformed
+export function normalizeLocale(locale) {
+  const match = /^([a-z]{2,3})(?:[-_][a-z0-9]+)*$/i.exec(String(locale || '').trim());
+  return match ? match[1].toLowerCase() : null;
+}
+
+// Languages from an Accept-Language header, most preferred first
+export function parseAcceptLanguage(header) {
+  return String(header || '')
+    .split(',')
+    .map((part, index) => {
+      const [tag, ...params] = part.trim().split(';');
+      const q = params.map(p => /^\s*q=([\d.]+)\s*$/.exec(p)).find(Boolean);
+      return { locale: normalizeLocale(tag), q: q ? Number(q[1]) : 1, index };
+    })
+    .filter(entry => entry.locale && entry.q > 0)
+    .sort((a, b) => b.q - a.q || a.index - b.index)
+    .map(entry => entry.locale);
+}
+
+// Pick the content language for a player: their profile setting, otherwise
+// the first language their client asks for, otherwise English
+export function resolveLocale(req, preferred) {
+  return normalizeLocale(preferred) || parseAcceptLanguage(req.headers['accept-language'])[0] || DEFAULT_LOCALE;
+}
+
+// Locale for response messages: the request's content locale when a route has
+// set one, otherwise the best Accept-Language match with a catalog
+function messageLocale(req) {
+  if (req.locale && catalogs[req.locale]) return req.locale;
+  return parseAcceptLanguage(req.headers['accept-language']).find(locale => catalogs[locale]) || DEFAULT_LOCALE;
+}
+
+// Look up a message in a locale's catalog, falling back to English, and fill
+// in {placeholders} from params
+export function translate(locale, key, params = {}) {
+  const template = (catalogs[locale] && catalogs[locale][key]) || catalogs[DEFAULT_LOCALE][key] || key;
+  return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+// Translate a message for the client that sent a request
+export function t(req, key, params) {
+  return translate(messageLocale(req), key, params);
+}
+
+// A question's translation for a locale, if it has one
+export function translationFor(question, locale) {
+  if (!question.translations || locale === DEFAULT_LOCALE) return null;
+
+  const translation = question.translations instanceof Map
+    ? question.translations.get(locale)
+    : question.translations[locale];
+  return translation || null;
+}
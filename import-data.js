@@ -34,8 +34,15 @@ async function importData() {
               id: q.id,
               question: q.question,
               options: q.options,
+              type: q.type,
               answer: q.answer,
-              level
+              tolerance: q.tolerance,
+              difficulty: level,
+              explanation: q.explanation,
+              hint: q.hint,
+              sourceUrl: q.sourceUrl,
+              media: q.media,
+              translations: q.translations
             });
             console.log(`Added question: ${q.id}`);
           }
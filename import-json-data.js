@@ -38,8 +38,16 @@ async function clearAndImportData() {
           id: q.id,
           question: q.question,
           options: q.options,
+          type: q.type,
           answer: q.answer,
-          category: 'general'
+          tolerance: q.tolerance,
+          category: q.category || 'general',
+          difficulty: q.difficulty || 'medium',
+          explanation: q.explanation,
+          hint: q.hint,
+          sourceUrl: q.sourceUrl,
+          media: q.media,
+          translations: q.translations
         });
       }
       console.log(`Imported ${questions.length} questions`);
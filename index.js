@@ -7,13 +7,27 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
 import winston from 'winston';
+import mongoose from 'mongoose';
 import rateLimit from 'express-rate-limit';
 import helmet from 'helmet';
 import connectDB from './db/connection.js';
-import { Question, User, Stats, Leaderboard } from './db/models.js';
+import { Question, User, Leaderboard, GameSession } from './db/models.js';
 import adminRoutes from './admin.js';
-import authRoutes, { authenticateToken } from './auth.js';
+import authRoutes, { authenticateToken, identifyUser } from './auth.js';
 import userRoutes from './user.js';
+import { attachWebSockets } from './websocket.js';
+import { MULTIPLAYER_PATH, multiplayerEndpoint } from './multiplayer.js';
+import roomRoutes, { ROOMS_PATH, roomsEndpoint } from './rooms.js';
+import challengeRoutes from './challenges.js';
+import notificationRoutes from './notifications.js';
+import friendRoutes, { hidePrivateEntries } from './friends.js';
+import gameRoutes, { loadQuestionPool, submitAnswer, localizedView, expireAbandonedSessions } from './game.js';
+import mediaRoutes, { toPublicMedia } from './media.js';
+import { LIFELINES } from './lifelines.js';
+import { shuffle } from './random.js';
+import { CATEGORIES, getCategory } from './categories.js';
+import { t } from './i18n.js';
+import { getQuestionType, resolveAnswer, describeAnswer } from './question-types.js';
 
 // Load environment variables
 dotenv.config();
@@ -42,6 +56,8 @@ if (process.env.NODE_ENV !== 'production') {
 
 const app = express();
 const PORT = process.env.PORT || 4000;
+// How often to look for abandoned games
+const ABANDONED_GAME_SWEEP_MS = 5 * 60 * 1000;
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
@@ -74,6 +90,11 @@ app.use(bodyParser.urlencoded({ extended: true, limit: '10mb' }));
 // Connect to MongoDB
 connectDB().then(() => {
   logger.info('Database connection established');
+
+  // Close out games players have abandoned
+  setInterval(() => {
+    expireAbandonedSessions().catch(error => logger.error('Error expiring abandoned games:', error));
+  }, ABANDONED_GAME_SWEEP_MS).unref();
 }).catch((error) => {
   logger.error('Database connection failed:', error);
   process.exit(1);
@@ -92,14 +113,17 @@ function getAllQuestions() {
   return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
 }
 
-// Helper function to randomly select questions
-function getRandomQuestions(questionsPool, count) {
-  if (questionsPool.length <= count) {
-    return [...questionsPool]; // Return all if not enough questions
-  }
-  
-  const shuffled = [...questionsPool].sort(() => Math.random() - 0.5);
-  return shuffled.slice(0, count);
+// Strip the answer from a question before it is sent to the client
+function toPublicQuestion(q) {
+  return {
+    id: q.id,
+    question: q.question,
+    type: getQuestionType(q),
+    options: q.options,
+    media: toPublicMedia(q.media),
+    category: q.category || 'general',
+    difficulty: q.difficulty || 'medium'
+  };
 }
 
 function getUserQuestions(username) {
@@ -187,124 +211,6 @@ function updateLeaderboard(username, gameStats) {
   fs.writeFileSync(LEADERBOARD_FILE, JSON.stringify(leaderboard, null, 2));
 }
 
-// API: Get questions for a game with level progression and timing (16 questions total)
-app.post('/api/game/questions', authenticateToken, async (req, res) => {
-  try {
-    const { username } = req.body;
-    
-    // Find or create user
-    let user = await User.findOne({ username });
-    if (!user) {
-      user = new User({ username, questionsAnswered: [] });
-      await user.save();
-    }
-    
-    // Game structure: Q1-Q3: easy (10s), Q4-Q9: medium (20s), Q10-Q16: hard (30s)
-    const gameQuestions = [];
-    
-    // Prize structure for 16 questions
-    const prizeStructure = [
-      1000, 2000, 3000, // Easy (Q1-Q3)
-      5000, 10000, 20000, 50000, 100000, 200000, // Medium (Q4-Q9) 
-      500000, 1000000, 2000000, 5000000, 10000000, 50000000, 700000000 // Hard (Q10-Q16)
-    ];
-    
-    // Get all questions from questions.json
-    const allAvailableQuestions = getAllQuestions();
-    
-    // Randomly select 16 different questions for the game
-    const selectedQuestions = getRandomQuestions(allAvailableQuestions, 16);
-    
-    // Build 16 questions with progressive difficulty timing
-    let allQuestions = [];
-    
-    selectedQuestions.forEach((q, i) => {
-      // Determine time limit based on question position (progressive difficulty)
-      let timeLimit = 10; // Default easy time
-      let level = 'easy';
-      
-      if (i >= 3 && i < 9) {
-        timeLimit = 20; // Medium difficulty timing
-        level = 'medium';
-      } else if (i >= 9) {
-        timeLimit = 30; // Hard difficulty timing
-        level = 'hard';
-      }
-      
-      allQuestions.push({
-        id: q.id,
-        question: q.question,
-        options: q.options,
-        answer: q.options.indexOf(q.answer), // Convert answer to index
-        questionNumber: i + 1,
-        timeLimit: timeLimit,
-        level: level,
-        prizeValue: prizeStructure[i]
-      });
-    });
-    
-    // Ensure we have exactly 16 questions
-    if (allQuestions.length < 16) {
-      console.log(`Warning: Only ${allQuestions.length} questions available, padding with random selections`);
-      // Pad with additional random questions if needed
-      while (allQuestions.length < 16 && allAvailableQuestions.length > 0) {
-        const randomQ = allAvailableQuestions[Math.floor(Math.random() * allAvailableQuestions.length)];
-        
-        // Avoid duplicates by checking if question already exists
-        const isDuplicate = allQuestions.some(q => q.id === randomQ.id);
-        if (!isDuplicate) {
-          const questionIndex = allQuestions.length;
-          let timeLimit = 10;
-          let level = 'easy';
-          
-          if (questionIndex >= 3 && questionIndex < 9) {
-            timeLimit = 20;
-            level = 'medium';
-          } else if (questionIndex >= 9) {
-            timeLimit = 30;
-            level = 'hard';
-          }
-          
-          allQuestions.push({
-            id: randomQ.id,
-            question: randomQ.question,
-            options: randomQ.options,
-            answer: randomQ.options.indexOf(randomQ.answer),
-            questionNumber: questionIndex + 1,
-            timeLimit: timeLimit,
-            level: level,
-            prizeValue: prizeStructure[questionIndex] || 1000000
-          });
-        }
-      }
-    }
-    
-    // Limit to exactly 16 questions
-    allQuestions = allQuestions.slice(0, 16);
-    
-    // Log question selection for debugging
-    logger.info(`Generated ${allQuestions.length} questions for new game:`, {
-      easy: allQuestions.filter(q => q.level === 'easy').length,
-      medium: allQuestions.filter(q => q.level === 'medium').length,
-      hard: allQuestions.filter(q => q.level === 'hard').length,
-      questionIds: allQuestions.map(q => q.id)
-    });
-    
-    res.json({
-      questions: allQuestions,
-      totalQuestions: 16,
-      gameStructure: {
-        easy: { questions: '1-3', timeLimit: 10, prize: '1K-3K' },
-        medium: { questions: '4-9', timeLimit: 20, prize: '5K-200K' },
-        hard: { questions: '10-16', timeLimit: 30, prize: '500K-700M' }
-      }
-    });
-  } catch (error) {
-    logger.error('Error fetching game questions:', error);
-    res.status(500).json({ error: 'Server error fetching game questions' });
-  }
-});
-
 // API: Get random questions for user (backwards compatibility)
 app.post('/api/questions', async (req, res) => {
   try {
@@ -335,22 +241,30 @@ app.post('/api/questions', async (req, res) => {
         id: q.id,
         question: q.question,
         options: q.options,
+        type: q.type,
         answer: q.answer,
-        category: 'general'
+        tolerance: q.tolerance,
+        category: q.category || 'general',
+        difficulty: q.difficulty || 'medium',
+        explanation: q.explanation,
+        hint: q.hint,
+        sourceUrl: q.sourceUrl,
+        media: q.media,
+        translations: q.translations
       }));
       
       if (questionDocs.length > 0) {
         await Question.insertMany(questionDocs);
       }
       
-      return res.json(selected);
+      return res.json(selected.map(toPublicQuestion));
     }
     
     // Update user's answered questions
     user.questionsAnswered.push(...questions.map(q => q.id));
     await user.save();
     
-    res.json(questions);
+    res.json(questions.map(toPublicQuestion));
   } catch (error) {
     logger.error('Error fetching questions:', error);
     res.status(500).json({ error: 'Server error fetching questions' });
@@ -375,7 +289,8 @@ app.post('/api/questions/random', async (req, res) => {
         question: q.question,
         options: q.options,
         answer: q.answer,
-        category: q.category || 'general'
+        category: q.category || 'general',
+        difficulty: q.difficulty || 'medium'
       }));
       
       // Combine and deduplicate
@@ -385,29 +300,48 @@ app.post('/api/questions/random', async (req, res) => {
     }
     
     // Randomly shuffle and select the requested count
-    const shuffled = [...questions].sort(() => Math.random() - 0.5);
+    const shuffled = shuffle(questions);
     const selectedQuestions = shuffled.slice(0, count);
     
-    res.json(selectedQuestions);
+    res.json(selectedQuestions.map(toPublicQuestion));
   } catch (error) {
     logger.error('Error fetching random questions:', error);
     res.status(500).json({ error: 'Server error fetching random questions' });
   }
 });
 
-// API: Get lifelines
+// API: Get lifelines (use them through /api/game/:gameId/lifelines/:lifeline)
 app.get('/api/lifelines', (req, res) => {
   res.json({
-    lifelines: [
-      '50-50',
-      'skip',
-      'audience',
-      'hint',
-      'timer-extension'
-    ]
+    lifelines: LIFELINES
   });
 });
 
+// API: Get question categories with how many questions each one has
+app.get('/api/categories', async (req, res) => {
+  try {
+    const questions = await loadQuestionPool();
+
+    const categories = CATEGORIES.map(category => {
+      const inCategory = questions.filter(q => getCategory(q) === category.id);
+      return {
+        ...category,
+        count: inCategory.length,
+        difficulties: {
+          easy: inCategory.filter(q => q.difficulty === 'easy').length,
+          medium: inCategory.filter(q => (q.difficulty || 'medium') === 'medium').length,
+          hard: inCategory.filter(q => q.difficulty === 'hard').length
+        }
+      };
+    });
+
+    res.json({ categories, total: questions.length });
+  } catch (error) {
+    logger.error('Error fetching categories:', error);
+    res.status(500).json({ error: 'Server error fetching categories' });
+  }
+});
+
 // API: Save user score
 app.post('/api/score', (req, res) => {
   const { username, score } = req.body;
@@ -421,227 +355,6 @@ app.get('/api/score/:username', (req, res) => {
   res.json({ score: scores[req.params.username] || 0 });
 });
 
-// API: Save detailed game stats and update leaderboard
-app.post('/api/stats', async (req, res) => {
-  try {
-    const { 
-      username, 
-      userId,
-      gamesPlayed,
-      gamesCompleted,
-      totalPrizeMoney, 
-      questionsAnswered, 
-      accuracy,
-      averageCompletionTime
-    } = req.body;
-    
-    // Update user stats in MongoDB using new model structure
-    let stats = await Stats.findOne({ username });
-    if (stats) {
-      // Update existing stats
-      stats.gamesPlayed = gamesPlayed || (stats.gamesPlayed + 1);
-      stats.gamesCompleted = gamesCompleted || stats.gamesCompleted;
-      stats.totalPrizeMoney = totalPrizeMoney || stats.totalPrizeMoney;
-      stats.questionsAnswered = questionsAnswered || stats.questionsAnswered;
-      stats.accuracy = accuracy || stats.accuracy;
-      stats.averageCompletionTime = averageCompletionTime || stats.averageCompletionTime;
-      await stats.save();
-    } else {
-      // Create new stats with proper ID
-      const lastStat = await Stats.findOne().sort({ id: -1 });
-      const newId = lastStat ? lastStat.id + 1 : 1;
-      
-      stats = new Stats({
-        id: newId,
-        userId: userId || `qt${newId}`,
-        username,
-        gamesPlayed: gamesPlayed || 1,
-        gamesCompleted: gamesCompleted || 0,
-        totalPrizeMoney: totalPrizeMoney || 0,
-        questionsAnswered: questionsAnswered || 0,
-        accuracy: accuracy || 0,
-        averageCompletionTime: averageCompletionTime || "0:00"
-      });
-      await stats.save();
-    }
-    
-    // Update user's score
-    let user = await User.findOne({ username });
-    if (user) {
-      user.lastActivity = new Date();
-      await user.save();
-    }
-    res.json({ success: true, message: 'Game stats updated successfully' });
-  } catch (error) {
-    logger.error('Error saving stats:', error);
-    res.status(500).json({ error: 'Server error saving stats' });
-  }
-});
-
-// API: Complete game and save results (authenticated)
-app.post('/api/game/complete', authenticateToken, async (req, res) => {
-  try {
-    const {
-      questionsAnswered,
-      correctAnswers,
-      totalQuestions,
-      finalPrize,
-      completionTime,
-      gameCompleted
-    } = req.body;
-    
-    const { username, id: userId } = req.user;
-    
-    // Save user stats
-    let stats = await Stats.findOne({ username });
-    if (stats) {
-      stats.gamesPlayed += 1;
-      if (gameCompleted) stats.gamesCompleted += 1;
-      stats.totalPrizeMoney += finalPrize || 0;
-      stats.questionsAnswered += questionsAnswered || 0;
-      stats.accuracy = stats.questionsAnswered > 0 ? 
-        Math.round((correctAnswers / stats.questionsAnswered) * 100) : 0;
-      await stats.save();
-    } else {
-      const lastStat = await Stats.findOne().sort({ id: -1 });
-      const newId = lastStat ? lastStat.id + 1 : 1;
-      
-      stats = new Stats({
-        id: newId,
-        userId: userId,
-        username,
-        gamesPlayed: 1,
-        gamesCompleted: gameCompleted ? 1 : 0,
-        totalPrizeMoney: finalPrize || 0,
-        questionsAnswered: questionsAnswered || 0,
-        accuracy: questionsAnswered > 0 ? Math.round((correctAnswers / questionsAnswered) * 100) : 0,
-        averageCompletionTime: completionTime || "0:00"
-      });
-      await stats.save();
-    }
-    
-    // Add to leaderboard if significant prize
-    if (finalPrize > 0) {
-      let leaderboard = await Leaderboard.findOne({});
-      if (!leaderboard) {
-        leaderboard = new Leaderboard({ leaderboard: [] });
-      }
-      
-      const lastEntry = leaderboard.leaderboard.length > 0 
-        ? Math.max(...leaderboard.leaderboard.map(entry => entry.id))
-        : 0;
-      const newId = lastEntry + 1;
-      
-      const newEntry = {
-        id: newId,
-        userId: userId,
-        playerName: username,
-        prizeWon: finalPrize,
-        questionsAnswered: questionsAnswered || 0,
-        totalQuestions: totalQuestions || 16,
-        completionDate: new Date(),
-        completionTime: completionTime || "0:00"
-      };
-      
-      leaderboard.leaderboard.push(newEntry);
-      leaderboard.leaderboard.sort((a, b) => b.prizeWon - a.prizeWon);
-      
-      // Keep top 100 entries
-      if (leaderboard.leaderboard.length > 100) {
-        leaderboard.leaderboard = leaderboard.leaderboard.slice(0, 100);
-      }
-      
-      await leaderboard.save();
-      
-      const leaderboardPosition = leaderboard.leaderboard.findIndex(entry => entry.id === newId) + 1;
-      
-      res.json({ 
-        success: true, 
-        message: 'Game results saved successfully',
-        leaderboardPosition,
-        stats: {
-          gamesPlayed: stats.gamesPlayed,
-          totalPrize: stats.totalPrizeMoney,
-          accuracy: stats.accuracy
-        }
-      });
-    } else {
-      res.json({ 
-        success: true, 
-        message: 'Game stats updated',
-        stats: {
-          gamesPlayed: stats.gamesPlayed,
-          totalPrize: stats.totalPrizeMoney,
-          accuracy: stats.accuracy
-        }
-      });
-    }
-  } catch (error) {
-    logger.error('Error saving game results:', error);
-    res.status(500).json({ error: 'Server error saving game results' });
-  }
-});
-
-// API: Complete game and add to leaderboard (backwards compatibility)
-app.post('/api/complete-game', async (req, res) => {
-  try {
-    const {
-      userId,
-      playerName,
-      prizeWon,
-      questionsAnswered,
-      totalQuestions,
-      completionTime
-    } = req.body;
-
-    // Find existing leaderboard or create new one
-    let leaderboard = await Leaderboard.findOne({});
-    if (!leaderboard) {
-      leaderboard = new Leaderboard({ leaderboard: [] });
-    }
-
-    // Get next ID for leaderboard entry
-    const lastEntry = leaderboard.leaderboard.length > 0 
-      ? Math.max(...leaderboard.leaderboard.map(entry => entry.id))
-      : 0;
-    const newId = lastEntry + 1;
-
-    // Create new leaderboard entry
-    const newEntry = {
-      id: newId,
-      userId,
-      playerName,
-      prizeWon,
-      questionsAnswered,
-      totalQuestions,
-      completionDate: new Date(),
-      completionTime
-    };
-
-    // Add to leaderboard
-    leaderboard.leaderboard.push(newEntry);
-
-    // Sort by prize won (descending)
-    leaderboard.leaderboard.sort((a, b) => b.prizeWon - a.prizeWon);
-
-    // Keep top 100 entries
-    if (leaderboard.leaderboard.length > 100) {
-      leaderboard.leaderboard = leaderboard.leaderboard.slice(0, 100);
-    }
-
-    await leaderboard.save();
-
-    res.json({ 
-      success: true, 
-      message: 'Game completed and added to leaderboard',
-      leaderboardPosition: leaderboard.leaderboard.findIndex(entry => entry.id === newId) + 1
-    });
-  } catch (error) {
-    logger.error('Error completing game:', error);
-    res.status(500).json({ error: 'Server error completing game' });
-  }
-});
-
 // API: Get user stats
 app.get('/api/stats/:username', (req, res) => {
   const stats = getUserStats(req.params.username);
@@ -663,47 +376,32 @@ app.get('/api/stats/:username', (req, res) => {
 });
 
 // API: Get leaderboard
-app.get('/api/leaderboard', async (req, res) => {
+app.get('/api/leaderboard', identifyUser, async (req, res) => {
+  // Players who keep their games to friends are only named for their friends
+  const viewerId = req.user && req.user.id;
+
   try {
     // Get leaderboard from MongoDB
-    let leaderboard = await Leaderboard.findOne({});
+    const leaderboard = await Leaderboard.findBoard('global');
     
-    // If no leaderboard in MongoDB, try fallback to JSON file
-    if (!leaderboard || leaderboard.entries.length === 0) {
+    // If no leaderboard in MongoDB, fall back to the JSON file. Its entries
+    // predate player ids, so they are served as they are rather than copied
+    // into the database.
+    if (!leaderboard || leaderboard.leaderboard.length === 0) {
       const jsonLeaderboard = getLeaderboard();
-      
-      // If we got data from JSON, save it to MongoDB for future
-      if (jsonLeaderboard.leaderboard && jsonLeaderboard.leaderboard.length > 0) {
-        if (!leaderboard) {
-          leaderboard = new Leaderboard({
-            entries: jsonLeaderboard.leaderboard.map(entry => ({
-              username: entry.username,
-              score: entry.score,
-              questionsAnswered: entry.questionsAnswered,
-              correctAnswers: entry.correctAnswers,
-              averageTimePerQuestion: entry.averageTimePerQuestion,
-              totalTime: entry.totalTime,
-              date: entry.date ? new Date(entry.date) : new Date()
-            }))
-          });
-          await leaderboard.save();
-        }
-        
-        return res.json({ leaderboard: leaderboard.entries });
-      }
-      
-      // No data in MongoDB or JSON file
-      return res.json({ leaderboard: [] });
+      return res.json({ leaderboard: await hidePrivateEntries(jsonLeaderboard.leaderboard, viewerId) });
     }
     
     // Return MongoDB leaderboard
-    res.json({ leaderboard: leaderboard.entries });
+    res.json({ leaderboard: await hidePrivateEntries(leaderboard.leaderboard, viewerId) });
   } catch (error) {
     logger.error('Error fetching leaderboard:', error);
     
-    // Fallback to JSON file if MongoDB fails
+    // Fallback to JSON file if MongoDB fails. Without the database nobody's
+    // privacy can be checked, so no entries are shown.
     const jsonLeaderboard = getLeaderboard();
-    res.json(jsonLeaderboard);
+    const entries = await hidePrivateEntries(jsonLeaderboard.leaderboard, viewerId).catch(() => []);
+    res.json({ ...jsonLeaderboard, leaderboard: entries });
   }
 });
 
@@ -726,6 +424,8 @@ app.get('/api', (req, res) => {
     version: '1.0.0',
     endpoints: {
       questions: '/api/questions',
+      game: '/api/game/questions',
+      categories: '/api/categories',
       lifelines: '/api/lifelines',
       score: '/api/score/:username',
       stats: '/api/stats/:username',
@@ -745,6 +445,8 @@ app.get('/', (req, res) => {
       health: '/health - API health check',
       api: '/api - API information and available endpoints',
       questions: '/api/questions - Get quiz questions (POST)',
+      game: '/api/game/questions - Start a server-tracked game session (POST)',
+      categories: '/api/categories - Get question categories and counts (GET)',
       lifelines: '/api/lifelines - Get available lifelines (GET)',
       checkAnswer: '/api/check-answer - Verify answers (POST)',
       stats: '/api/stats/:username - Get user statistics (GET)',
@@ -760,29 +462,94 @@ app.use('/api', authRoutes);
 // Mount user routes
 app.use('/api/user', userRoutes);
 
+// Mount quiz room routes
+app.use('/api/rooms', roomRoutes);
+
+// Mount challenge and notification routes
+app.use('/api/challenges', challengeRoutes);
+app.use('/api/notifications', notificationRoutes);
+
+// Mount friend and follow routes
+app.use('/api/friends', friendRoutes);
+
+// Mount game routes
+app.use('/api/game', gameRoutes);
+
+// Mount signed media URLs
+app.use('/media', mediaRoutes);
+
 // Mount admin routes
 app.use('/admin', adminRoutes);
 
-// Check if answer is correct
-app.post('/api/check-answer', (req, res) => {
-  const { level, questionId, answer } = req.body;
-  if (!LEVELS.includes(level)) return res.status(400).json({ error: 'Invalid level' });
-  
-  const questions = getQuestions(level);
-  const question = questions.find(q => q.id === questionId);
-  
-  if (!question) return res.status(404).json({ error: 'Question not found' });
-  
-  const isCorrect = question.answer === answer;
-  
-  res.json({
-    correct: isCorrect,
-    correctAnswer: isCorrect ? null : question.answer
-  });
+// API: Commit an answer to the current question of the player's game in
+// progress and get the correct one back. Questions from anywhere else are
+// refused, since answering them would reveal the answer without playing.
+app.post('/api/check-answer', authenticateToken, async (req, res) => {
+  try {
+    const { questionId, answer } = req.body;
+    if (!questionId || answer === undefined || answer === null) {
+      return res.status(400).json({ error: t(req, 'answer.required') });
+    }
+
+    const session = await GameSession.findOne({
+      userId: String(req.user.id),
+      status: 'in_progress',
+      'questions.questionId': questionId
+    });
+
+    if (session) {
+      req.locale = session.locale;
+      const current = session.questions[session.currentQuestion];
+      if (current.questionId !== questionId) {
+        return res.status(409).json({ error: t(req, 'answer.notCurrent') });
+      }
+
+      const view = localizedView(current);
+      const selectedAnswer = resolveAnswer(view, answer);
+      if (selectedAnswer === null) {
+        return res.status(400).json({ error: t(req, 'game.invalidAnswer', { type: getQuestionType(view) }) });
+      }
+
+      const result = await submitAnswer(session, selectedAnswer);
+
+      return res.json({
+        correct: result.correct,
+        timedOut: result.timedOut,
+        correctAnswer: describeAnswer(view, current.correctAnswer),
+        correctAnswerIndex: current.correctAnswer,
+        explanation: result.explanation,
+        sourceUrl: result.sourceUrl,
+        game: {
+          gameId: session._id,
+          currentPrize: result.currentPrize,
+          status: result.status,
+          gameOver: result.gameOver,
+          nextQuestion: result.nextQuestion,
+          question: result.question
+        }
+      });
+    }
+
+    // Answers are only revealed for a question committed to in the player's
+    // own game, so the bank cannot be used as an answer key
+    res.status(404).json({ error: t(req, 'answer.notInGame') });
+  } catch (error) {
+    if (error instanceof mongoose.Error.VersionError) {
+      return res.status(409).json({ error: t(req, 'game.answerConflict') });
+    }
+    logger.error('Error checking answer:', error);
+    res.status(500).json({ error: t(req, 'answer.error') });
+  }
 });
 
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   logger.info(`QuizTime backend server started on port ${PORT}`);
   logger.info(`Environment: ${process.env.NODE_ENV || 'development'}`);
   logger.info(`CORS Origin: ${process.env.CORS_ORIGIN || 'localhost'}`);
 });
+
+// Head-to-head matches and quiz rooms run over WebSockets on the same server
+attachWebSockets(server, {
+  [MULTIPLAYER_PATH]: multiplayerEndpoint,
+  [ROOMS_PATH]: roomsEndpoint
+});
@@ -0,0 +1,155 @@
+// Lifeline engine: pure helpers used by the game routes to resolve each
+// lifeline against the current question of a session.
+
+import { getQuestionType } from './question-types.js';
+import { DEFAULT_LOCALE, translate } from './i18n.js';
+
+export const LIFELINES = ['50-50', 'skip', 'audience', 'hint', 'timer-extension'];
+
+// Lifelines that work with each question type: 50-50 and the audience poll
+// need a single answer among several options
+const TYPE_LIFELINES = {
+  'multiple-choice': LIFELINES,
+  'true-false': ['skip', 'audience', 'hint', 'timer-extension'],
+  'multi-select': ['skip', 'hint', 'timer-extension'],
+  'numeric': ['skip', 'hint', 'timer-extension'],
+  'ordering': ['skip', 'hint', 'timer-extension']
+};
+
+// Seconds added to the current question by the timer-extension lifeline
+export const TIMER_EXTENSION_SECONDS = 15;
+
+// How many recorded answers count as much as the synthetic prior in a poll
+const AUDIENCE_PRIOR_WEIGHT = 20;
+
+// Share of the audience that knows the answer before any history is recorded
+const AUDIENCE_ACCURACY = {
+  easy: 0.7,
+  medium: 0.5,
+  hard: 0.35
+};
+
+function randomItem(items) {
+  return items[Math.floor(Math.random() * items.length)];
+}
+
+// Options still on the board after a 50-50
+function availableOptions(question) {
+  const removed = question.removedOptions || [];
+  return question.options
+    .map((option, index) => index)
+    .filter(index => !removed.includes(index));
+}
+
+// Lifelines that can be used on a question. Ruling out one of two options
+// would give a true/false answer away, so there the hint needs its own text.
+export function lifelinesForQuestion(question) {
+  const type = getQuestionType(question);
+  return (TYPE_LIFELINES[type] || LIFELINES)
+    .filter(name => name !== 'hint' || type !== 'true-false' || question.hint);
+}
+
+// Pick two wrong options to remove
+export function fiftyFifty(question) {
+  const wrong = availableOptions(question).filter(index => index !== question.correctAnswer);
+  const removed = [];
+
+  while (removed.length < 2 && wrong.length > 0) {
+    const index = randomItem(wrong);
+    removed.push(index);
+    wrong.splice(wrong.indexOf(index), 1);
+  }
+
+  return removed.sort((a, b) => a - b);
+}
+
+// Round shares to whole percentages that still add up to 100
+function toPercentages(shares) {
+  const total = shares.reduce((sum, share) => sum + share, 0) || 1;
+  const raw = shares.map(share => (share / total) * 100);
+  const rounded = raw.map(Math.floor);
+  let remainder = 100 - rounded.reduce((sum, value) => sum + value, 0);
+
+  raw
+    .map((value, index) => ({ index, fraction: value - Math.floor(value) }))
+    .sort((a, b) => b.fraction - a.fraction)
+    .forEach(({ index }) => {
+      if (remainder > 0) {
+        rounded[index] += 1;
+        remainder -= 1;
+      }
+    });
+
+  return rounded;
+}
+
+// Generate an audience poll for the options still on the board. A synthetic
+// prior based on the question level is blended with the real answer history
+// from QuestionStats, so the poll follows actual players once enough exist.
+export function audiencePoll(question, questionStats) {
+  const options = availableOptions(question);
+  const accuracy = AUDIENCE_ACCURACY[question.level] || AUDIENCE_ACCURACY.medium;
+  const correctShare = Math.min(0.95, Math.max(0.1, accuracy + (Math.random() - 0.5) * 0.2));
+
+  const wrongWeights = options
+    .filter(index => index !== question.correctAnswer)
+    .map(() => 0.2 + Math.random());
+  const wrongTotal = wrongWeights.reduce((sum, weight) => sum + weight, 0) || 1;
+
+  const history = new Map(
+    ((questionStats && questionStats.answers) || []).map(entry => [entry.option, entry.count])
+  );
+  const answered = options.reduce((sum, index) => sum + (history.get(question.options[index]) || 0), 0);
+
+  let wrongIndex = 0;
+  const shares = options.map(index => {
+    const prior = index === question.correctAnswer
+      ? correctShare
+      : (1 - correctShare) * (wrongWeights[wrongIndex++] / wrongTotal);
+    const count = history.get(question.options[index]) || 0;
+
+    return (prior * AUDIENCE_PRIOR_WEIGHT + count) / (AUDIENCE_PRIOR_WEIGHT + answered);
+  });
+
+  const percentages = toPercentages(shares);
+
+  return options.map((index, i) => ({
+    option: index,
+    text: question.options[index],
+    percentage: percentages[i]
+  }));
+}
+
+// Round a hint bound outwards, keeping two decimals for fractional answers
+function roundBound(value, answer, direction) {
+  const scale = Number.isInteger(answer) ? 1 : 100;
+  return Math[direction](value * scale) / scale;
+}
+
+// Give a nudge towards the answer without naming it: the question's own hint
+// if it has one, otherwise rule out a wrong option still on the board, give
+// a range for numeric answers or the first item of an ordering
+export function hint(question, locale = DEFAULT_LOCALE) {
+  if (question.hint) return question.hint;
+
+  const type = getQuestionType(question);
+  const correct = question.correctAnswer;
+
+  if (type === 'numeric') {
+    const width = Math.max(Math.abs(correct) * 0.1, 10);
+    const low = correct - width * Math.random();
+    return translate(locale, 'lifeline.hint.range', {
+      low: roundBound(low, correct, 'floor'),
+      high: roundBound(low + width, correct, 'ceil')
+    });
+  }
+  if (type === 'ordering') {
+    return translate(locale, 'lifeline.hint.first', { option: question.options[correct[0]] });
+  }
+
+  const isCorrect = index => (Array.isArray(correct) ? correct.includes(index) : index === correct);
+  const wrong = availableOptions(question).filter(index => !isCorrect(index));
+  if (wrong.length === 0) return translate(locale, 'lifeline.hint.fallback');
+
+  return translate(locale, 'lifeline.hint.notOption', { option: question.options[randomItem(wrong)] });
+}
@@ -0,0 +1,51 @@
+// Storage for question media. Any object with the same save/read/exists/remove
+// methods (all async, keyed by a flat file name) can replace the local disk
+// store through setMediaStorage, e.g. to move uploads to object storage.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_MEDIA_DIR = path.join(__dirname, 'uploads');
+
+// Keep media files in a directory on local disk
+export function createLocalMediaStorage(dir = process.env.MEDIA_DIR || DEFAULT_MEDIA_DIR) {
+  const filePath = key => path.join(dir, path.basename(key));
+
+  return {
+    async save(key, data) {
+      await fs.promises.mkdir(dir, { recursive: true });
+      await fs.promises.writeFile(filePath(key), data);
+    },
+
+    async read(key) {
+      return fs.promises.readFile(filePath(key));
+    },
+
+    async exists(key) {
+      try {
+        await fs.promises.access(filePath(key));
+        return true;
+      } catch {
+        return false;
+      }
+    },
+
+    async remove(key) {
+      await fs.promises.rm(filePath(key), { force: true });
+    }
+  };
+}
+
+let storage = createLocalMediaStorage();
+
+export function getMediaStorage() {
+  return storage;
+}
+
+export function setMediaStorage(mediaStorage) {
+  storage = mediaStorage;
+}
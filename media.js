@@ -0,0 +1,144 @@
+import express from 'express';
+import crypto from 'crypto';
+import winston from 'winston';
+import { v4 as uuidv4 } from 'uuid';
+import { getMediaStorage } from './media-storage.js';
+
+const router = express.Router();
+
+// Configure logger
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'media' },
+  transports: [
+    new winston.transports.File({ filename: 'logs/error.log', level: 'error' }),
+    new winston.transports.File({ filename: 'logs/combined.log' })
+  ],
+});
+
+if (process.env.NODE_ENV !== 'production') {
+  logger.add(new winston.transports.Console({
+    format: winston.format.simple()
+  }));
+}
+
+// Accepted uploads, with the leading bytes each kind of file starts with
+export const MEDIA_TYPES = {
+  'image/png': { kind: 'image', extension: 'png', matches: data => data.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  'image/jpeg': { kind: 'image', extension: 'jpg', matches: data => data[0] === 0xff && data[1] === 0xd8 && data[2] === 0xff },
+  'image/gif': { kind: 'image', extension: 'gif', matches: data => data.subarray(0, 4).toString('latin1') === 'GIF8' },
+  'image/webp': { kind: 'image', extension: 'webp', matches: data => data.subarray(0, 4).toString('latin1') === 'RIFF' && data.subarray(8, 12).toString('latin1') === 'WEBP' },
+  'audio/mpeg': { kind: 'audio', extension: 'mp3', matches: data => data.subarray(0, 3).toString('latin1') === 'ID3' || (data[0] === 0xff && (data[1] & 0xe0) === 0xe0) },
+  'audio/ogg': { kind: 'audio', extension: 'ogg', matches: data => data.subarray(0, 4).toString('latin1') === 'OggS' },
+  'audio/wav': { kind: 'audio', extension: 'wav', matches: data => data.subarray(0, 4).toString('latin1') === 'RIFF' && data.subarray(8, 12).toString('latin1') === 'WAVE' }
+};
+
+// Largest upload accepted for each kind of media, in bytes
+export const MAX_MEDIA_BYTES = {
+  image: 2 * 1024 * 1024,
+  audio: 10 * 1024 * 1024
+};
+
+// How long a signed media URL stays valid
+const MEDIA_URL_TTL_SECONDS = Number(process.env.MEDIA_URL_TTL_SECONDS) || 3600;
+
+const MEDIA_KEY_PATTERN = /^[0-9a-f-]{36}\.[a-z0-9]+$/;
+
+function mediaSecret() {
+  return process.env.MEDIA_URL_SECRET || process.env.JWT_SECRET;
+}
+
+function signature(key, expires) {
+  return crypto.createHmac('sha256', mediaSecret()).update(`${key}:${expires}`).digest('base64url');
+}
+
+// Media reference stored on a question, worked out from its storage key
+export function describeMedia(key) {
+  if (typeof key !== 'string' || !MEDIA_KEY_PATTERN.test(key)) return null;
+
+  const extension = key.split('.').pop();
+  const [contentType, type] = Object.entries(MEDIA_TYPES).find(([, t]) => t.extension === extension) || [];
+  return contentType ? { key, kind: type.kind, contentType } : null;
+}
+
+// Check an upload against its declared content type and size limit, then
+// store it. Returns the media reference, or { error } when it is rejected.
+export async function storeMedia(data, contentType) {
+  const type = MEDIA_TYPES[contentType];
+  if (!type) {
+    return { error: `Unsupported content type; use one of ${Object.keys(MEDIA_TYPES).join(', ')}` };
+  }
+  if (!Buffer.isBuffer(data) || data.length === 0) {
+    return { error: 'Upload is empty' };
+  }
+  if (data.length > MAX_MEDIA_BYTES[type.kind]) {
+    return { error: `${type.kind} uploads are limited to ${MAX_MEDIA_BYTES[type.kind] / (1024 * 1024)}MB` };
+  }
+  if (!type.matches(data)) {
+    return { error: `File content is not ${contentType}` };
+  }
+
+  const key = `${uuidv4()}.${type.extension}`;
+  await getMediaStorage().save(key, data);
+
+  return { ...describeMedia(key), size: data.length };
+}
+
+// Relative URL for a piece of media that stops working after the TTL
+export function signMediaUrl(key, ttlSeconds = MEDIA_URL_TTL_SECONDS) {
+  const expires = Math.floor(Date.now() / 1000) + ttlSeconds;
+  return `/media/${key}?expires=${expires}&signature=${signature(key, expires)}`;
+}
+
+// Client-facing form of a question's media reference
+export function toPublicMedia(media) {
+  if (!media || !media.key) return null;
+  return { kind: media.kind, contentType: media.contentType, url: signMediaUrl(media.key) };
+}
+
+function hasValidSignature(key, expires, given) {
+  const expected = Buffer.from(signature(key, expires));
+  const actual = Buffer.from(String(given || ''));
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+// API: Serve a piece of media through a signed URL
+router.get('/:key', async (req, res) => {
+  try {
+    const { key } = req.params;
+    const { expires, signature: given } = req.query;
+    const media = describeMedia(key);
+
+    if (!media || !/^\d+$/.test(expires || '') || !hasValidSignature(key, expires, given)) {
+      return res.status(403).json({ error: 'Invalid media link' });
+    }
+
+    const secondsLeft = Number(expires) - Math.floor(Date.now() / 1000);
+    if (secondsLeft <= 0) {
+      return res.status(403).json({ error: 'Media link has expired' });
+    }
+
+    const storage = getMediaStorage();
+    if (!(await storage.exists(key))) {
+      return res.status(404).json({ error: 'Media not found' });
+    }
+
+    res.set({
+      'Content-Type': media.contentType,
+      'Cache-Control': `private, max-age=${secondsLeft}`,
+      // Helmet only allows same-origin loads by default; the quiz client runs elsewhere
+      'Cross-Origin-Resource-Policy': 'cross-origin'
+    });
+    res.send(await storage.read(key));
+  } catch (error) {
+    logger.error('Error serving media:', error);
+    res.status(500).json({ error: 'Server error serving media' });
+  }
+});
+
+export default router;
@@ -5,16 +5,16 @@
 use('quiztime');
 
 // Questions collection queries
-// Count questions by level
+// Count questions by difficulty
 db.getCollection('questions').count();
-db.getCollection('questions').count({ level: 'easy' });
-db.getCollection('questions').count({ level: 'medium' });
-db.getCollection('questions').count({ level: 'hard' });
+db.getCollection('questions').count({ difficulty: 'easy' });
+db.getCollection('questions').count({ difficulty: 'medium' });
+db.getCollection('questions').count({ difficulty: 'hard' });
 
-// Sample questions from each level
-db.getCollection('questions').findOne({ level: 'easy' });
-db.getCollection('questions').findOne({ level: 'medium' });
-db.getCollection('questions').findOne({ level: 'hard' });
+// Sample questions from each difficulty
+db.getCollection('questions').findOne({ difficulty: 'easy' });
+db.getCollection('questions').findOne({ difficulty: 'medium' });
+db.getCollection('questions').findOne({ difficulty: 'hard' });
 
 // Check if users exist
 db.getCollection('users').count();
@@ -0,0 +1,368 @@
+// Head-to-head multiplayer over WebSockets. Players connect to /ws with their
+// login token, queue for a match and are paired in the order they queued. Both
+// players are sent each question at the same moment; a correct answer scores
+// more the faster it comes in, and the match result is saved when it ends.
+//
+// Messages are JSON objects with a `type`. From the client:
+//   { type: 'queue' }, { type: 'leave-queue' },
+//   { type: 'answer', questionNumber, answer }
+// From the server:
+//   queued, match-found, question, answer-received, opponent-answered,
+//   round-result, match-end, error
+
+import { WebSocket } from 'ws';
+import winston from 'winston';
+import { verifyToken } from './auth.js';
+import { sendMessage, parseMessage, requestToken } from './websocket.js';
+import { Match } from './db/models.js';
+import { loadQuestionPool, selectGameQuestions, toSessionQuestion, prepareSessionQuestion } from './game.js';
+import { toPublicMedia } from './media.js';
+import { DEFAULT_LOCALE } from './i18n.js';
+import { resolveAnswer, isCorrectAnswer } from './question-types.js';
+
+// Configure logger
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'multiplayer' },
+  transports: [
+    new winston.transports.File({ filename: 'logs/error.log', level: 'error' }),
+    new winston.transports.File({ filename: 'logs/combined.log' })
+  ],
+});
+
+if (process.env.NODE_ENV !== 'production') {
+  logger.add(new winston.transports.Console({
+    format: winston.format.simple()
+  }));
+}
+
+export const MULTIPLAYER_PATH = '/ws';
+
+const MATCH_DIFFICULTY_MIX = { easy: 3, medium: 4, hard: 3 };
+const MATCH_TIME_LIMIT_SECONDS = 15;
+
+// Extra time allowed past the limit to absorb network latency
+const ANSWER_GRACE_MS = 1000;
+
+// Pause between a round's result and the next question
+const ROUND_PAUSE_MS = 3000;
+
+// Points for an instant correct answer; one given as time runs out gets half
+const MAX_POINTS = 1000;
+
+// Players waiting for an opponent, first come first served
+const queue = [];
+
+// Match each connected player is in, by userId
+const activeMatches = new Map();
+
+// Points for an answer: none when it is wrong, otherwise between full and half
+// marks depending on how much of the time limit was used
+export function scoreAnswer(correct, responseTime, timeLimitSeconds) {
+  if (!correct) return 0;
+  const used = Math.min(1, Math.max(0, responseTime / (timeLimitSeconds * 1000)));
+  return Math.round(MAX_POINTS * (1 - used / 2));
+}
+
+function broadcast(match, message) {
+  match.players.forEach(player => sendMessage(player.socket, message));
+}
+
+// Client-facing view of a match question, without the answer
+function toPublicMatchQuestion(q) {
+  return {
+    id: q.questionId,
+    question: q.question,
+    type: q.type,
+    options: q.options,
+    media: toPublicMedia(q.media),
+    level: q.level,
+    category: q.category
+  };
+}
+
+function standings(match) {
+  return match.players.map(player => ({
+    username: player.username,
+    score: player.score,
+    correctAnswers: player.correctAnswers
+  }));
+}
+
+function leaveQueue(socket) {
+  const index = queue.indexOf(socket);
+  if (index !== -1) queue.splice(index, 1);
+}
+
+// Add a player to the queue, starting a match as soon as there is an opponent
+function joinQueue(socket) {
+  const { id: userId } = socket.user;
+
+  if (activeMatches.has(userId)) {
+    return sendMessage(socket, { type: 'error', error: 'You are already in a match' });
+  }
+  if (queue.some(queued => queued.user.id === userId)) {
+    return sendMessage(socket, { type: 'error', error: 'You are already queued' });
+  }
+
+  queue.push(socket);
+  sendMessage(socket, { type: 'queued', position: queue.length });
+
+  if (queue.length >= 2) {
+    const [first, second] = queue.splice(0, 2);
+    startMatch(first, second).catch(error => {
+      logger.error('Error starting match:', error);
+      [first, second].forEach(player => {
+        activeMatches.delete(player.user.id);
+        sendMessage(player, { type: 'error', error: 'Could not start the match' });
+      });
+    });
+  }
+}
+
+async function startMatch(first, second) {
+  const toPlayer = socket => ({
+    socket,
+    userId: socket.user.id,
+    username: socket.user.username,
+    score: 0,
+    correctAnswers: 0
+  });
+
+  const record = new Match({
+    players: [first, second].map(socket => ({ userId: socket.user.id, username: socket.user.username }))
+  });
+  const match = {
+    id: String(record._id),
+    record,
+    players: [toPlayer(first), toPlayer(second)],
+    questions: [],
+    current: -1,
+    round: null,
+    timer: null,
+    finished: false
+  };
+  match.players.forEach(player => activeMatches.set(player.userId, match));
+
+  // Both players see the same questions with the same option order
+  const selected = selectGameQuestions(await loadQuestionPool(), MATCH_DIFFICULTY_MIX);
+  match.questions = selected.map(q => prepareSessionQuestion(toSessionQuestion(q), DEFAULT_LOCALE));
+
+  // Someone may have left while the questions were loading
+  if (match.players.some(player => player.socket.readyState !== WebSocket.OPEN)) {
+    const gone = match.players.find(player => player.socket.readyState !== WebSocket.OPEN);
+    return endMatch(match, 'forfeited', gone.userId);
+  }
+
+  logger.info(`Match ${match.id} started: ${match.players.map(p => p.username).join(' vs ')}`);
+
+  match.players.forEach((player, index) => {
+    sendMessage(player.socket, {
+      type: 'match-found',
+      matchId: match.id,
+      opponent: { username: match.players[1 - index].username },
+      totalQuestions: match.questions.length,
+      timeLimit: MATCH_TIME_LIMIT_SECONDS
+    });
+  });
+
+  nextQuestion(match);
+}
+
+// Serve the next question to both players at once, or end the match
+function nextQuestion(match) {
+  if (match.finished) return;
+
+  match.current += 1;
+  if (match.current >= match.questions.length) {
+    return endMatch(match, 'completed');
+  }
+
+  const question = match.questions[match.current];
+  match.round = { servedAt: Date.now(), answers: new Map() };
+
+  broadcast(match, {
+    type: 'question',
+    questionNumber: match.current + 1,
+    totalQuestions: match.questions.length,
+    question: toPublicMatchQuestion(question),
+    timeLimit: MATCH_TIME_LIMIT_SECONDS,
+    servedAt: new Date(match.round.servedAt)
+  });
+
+  match.timer = setTimeout(() => closeRound(match), MATCH_TIME_LIMIT_SECONDS * 1000 + ANSWER_GRACE_MS);
+}
+
+function handleAnswer(socket, message) {
+  const match = activeMatches.get(socket.user.id);
+  if (!match || !match.round || !match.players.some(player => player.socket === socket)) {
+    return sendMessage(socket, { type: 'error', error: 'No question to answer' });
+  }
+
+  const questionNumber = match.current + 1;
+  if (Number(message.questionNumber) !== questionNumber) {
+    return sendMessage(socket, { type: 'error', error: 'Answer does not match the current question', questionNumber });
+  }
+  if (match.round.answers.has(socket.user.id)) {
+    return sendMessage(socket, { type: 'error', error: 'You have already answered this question' });
+  }
+
+  const question = match.questions[match.current];
+  const answer = resolveAnswer(question, message.answer);
+  if (answer === null) {
+    return sendMessage(socket, { type: 'error', error: `answer is not a valid ${question.type} answer` });
+  }
+
+  const responseTime = Date.now() - match.round.servedAt;
+  if (responseTime > MATCH_TIME_LIMIT_SECONDS * 1000 + ANSWER_GRACE_MS) {
+    return sendMessage(socket, { type: 'error', error: 'Time is up for this question' });
+  }
+
+  const isCorrect = isCorrectAnswer(question, answer);
+  match.round.answers.set(socket.user.id, {
+    answer,
+    isCorrect,
+    responseTime,
+    points: scoreAnswer(isCorrect, responseTime, MATCH_TIME_LIMIT_SECONDS)
+  });
+
+  sendMessage(socket, { type: 'answer-received', questionNumber });
+  match.players
+    .filter(player => player.userId !== socket.user.id)
+    .forEach(player => sendMessage(player.socket, { type: 'opponent-answered', questionNumber }));
+
+  if (match.round.answers.size === match.players.length) {
+    clearTimeout(match.timer);
+    closeRound(match);
+  }
+}
+
+// Score the current question once both players have answered or time is up
+function closeRound(match) {
+  if (match.finished || !match.round) return;
+
+  const question = match.questions[match.current];
+  const { answers } = match.round;
+  match.round = null;
+
+  const results = match.players.map(player => {
+    const result = answers.get(player.userId) || { answer: null, isCorrect: false, points: 0 };
+    player.score += result.points;
+    if (result.isCorrect) player.correctAnswers += 1;
+    return { userId: player.userId, ...result };
+  });
+
+  match.record.questions.push({
+    questionId: question.questionId,
+    questionNumber: match.current + 1,
+    options: question.options,
+    correctAnswer: question.correctAnswer,
+    answers: results
+  });
+
+  broadcast(match, {
+    type: 'round-result',
+    questionNumber: match.current + 1,
+    correctAnswer: question.correctAnswer,
+    explanation: question.explanation || null,
+    players: match.players.map((player, index) => ({
+      username: player.username,
+      answer: results[index].answer,
+      correct: results[index].isCorrect,
+      responseTime: results[index].responseTime ?? null,
+      points: results[index].points,
+      score: player.score
+    }))
+  });
+
+  match.timer = setTimeout(() => nextQuestion(match), ROUND_PAUSE_MS);
+}
+
+// Finish a match, tell both players the result and save it. A forfeit hands
+// the win to the player who stayed.
+function endMatch(match, status, forfeitedBy) {
+  if (match.finished) return;
+  match.finished = true;
+  clearTimeout(match.timer);
+  match.players.forEach(player => activeMatches.delete(player.userId));
+
+  const [first, second] = match.players;
+  let winner = null;
+  if (forfeitedBy) {
+    winner = match.players.find(player => player.userId !== forfeitedBy);
+  } else if (first.score !== second.score) {
+    winner = first.score > second.score ? first : second;
+  }
+
+  broadcast(match, {
+    type: 'match-end',
+    matchId: match.id,
+    status,
+    winner: winner ? winner.username : null,
+    players: standings(match)
+  });
+
+  Object.assign(match.record, {
+    players: match.players.map(player => ({
+      userId: player.userId,
+      username: player.username,
+      score: player.score,
+      correctAnswers: player.correctAnswers
+    })),
+    status,
+    winner: winner ? winner.userId : null,
+    forfeitedBy,
+    completedAt: new Date()
+  });
+  match.record.save()
+    .then(() => logger.info(`Match ${match.id} ${status}, winner: ${winner ? winner.username : 'draw'}`))
+    .catch(error => logger.error(`Error saving match ${match.id}:`, error));
+}
+
+function handleMessage(socket, data) {
+  const message = parseMessage(socket, data);
+  if (!message) return;
+
+  switch (message.type) {
+    case 'queue':
+      return joinQueue(socket);
+    case 'leave-queue':
+      leaveQueue(socket);
+      return sendMessage(socket, { type: 'left-queue' });
+    case 'answer':
+      return handleAnswer(socket, message);
+    default:
+      return sendMessage(socket, { type: 'error', error: 'Unknown message type' });
+  }
+}
+
+function handleClose(socket) {
+  leaveQueue(socket);
+
+  const match = activeMatches.get(socket.user.id);
+  if (match && match.players.some(player => player.socket === socket)) {
+    endMatch(match, 'forfeited', socket.user.id);
+  }
+}
+
+// Head-to-head endpoint for attachWebSockets, authenticated with the same
+// JWT as the REST API
+export const multiplayerEndpoint = {
+  accept(req, url) {
+    const token = requestToken(req, url);
+    const user = token && verifyToken(token);
+    return user ? { user: { id: String(user.id), username: user.username } } : { reject: 401 };
+  },
+
+  connection(socket, { user }) {
+    socket.user = user;
+    socket.on('message', data => handleMessage(socket, data));
+    socket.on('close', () => handleClose(socket));
+    socket.on('error', error => logger.error('WebSocket error:', error));
+  }
+};
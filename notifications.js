@@ -0,0 +1,98 @@
+// In-app notifications. Other modules record them with notify(); players fetch
+// theirs from /api/notifications and mark them read once seen.
+
+import express from 'express';
+import mongoose from 'mongoose';
+import winston from 'winston';
+import { authenticateToken } from './auth.js';
+import { Notification } from './db/models.js';
+import { t } from './i18n.js';
+
+const router = express.Router();
+
+// Configure logger
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'notifications' },
+  transports: [
+    new winston.transports.File({ filename: 'logs/error.log', level: 'error' }),
+    new winston.transports.File({ filename: 'logs/combined.log' })
+  ],
+});
+
+if (process.env.NODE_ENV !== 'production') {
+  logger.add(new winston.transports.Console({
+    format: winston.format.simple()
+  }));
+}
+
+const MAX_NOTIFICATIONS = 50;
+
+// Record a notification for a player. Failing to notify never fails the
+// action that caused it, so errors are only logged.
+export async function notify(userId, type, details = {}) {
+  try {
+    await Notification.create({ userId: String(userId), type, ...details });
+  } catch (error) {
+    logger.error(`Error sending ${type} notification to ${userId}:`, error);
+  }
+}
+
+function toPublicNotification(req, notification) {
+  return {
+    id: notification._id,
+    type: notification.type,
+    message: t(req, `notification.${notification.type}`, { username: notification.fromUsername }),
+    fromUsername: notification.fromUsername || null,
+    ...(notification.challengeId ? { challengeId: notification.challengeId } : {}),
+    read: notification.read,
+    createdAt: notification.createdAt
+  };
+}
+
+// API: The player's latest notifications, newest first (?unread=true for
+// unread ones only), with the number still unread
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const userId = String(req.user.id);
+    const filter = req.query.unread === 'true' ? { userId, read: false } : { userId };
+
+    const notifications = await Notification.find(filter).sort({ createdAt: -1 }).limit(MAX_NOTIFICATIONS);
+    const unread = await Notification.countDocuments({ userId, read: false });
+
+    res.json({
+      notifications: notifications.map(notification => toPublicNotification(req, notification)),
+      unread
+    });
+  } catch (error) {
+    logger.error('Error fetching notifications:', error);
+    res.status(500).json({ error: 'Server error fetching notifications' });
+  }
+});
+
+// API: Mark notifications read: the ones listed in `ids`, or all of them
+router.post('/read', authenticateToken, async (req, res) => {
+  try {
+    const userId = String(req.user.id);
+    const { ids } = req.body;
+
+    if (ids !== undefined && (!Array.isArray(ids) || !ids.every(id => mongoose.Types.ObjectId.isValid(id)))) {
+      return res.status(400).json({ error: 'ids must be an array of notification ids' });
+    }
+
+    const filter = ids ? { userId, read: false, _id: { $in: ids } } : { userId, read: false };
+    const result = await Notification.updateMany(filter, { $set: { read: true } });
+
+    res.json({ success: true, marked: result.modifiedCount });
+  } catch (error) {
+    logger.error('Error marking notifications read:', error);
+    res.status(500).json({ error: 'Server error marking notifications read' });
+  }
+});
+
+export default router;
@@ -0,0 +1,162 @@
+// Question types: validation of bank questions and answer handling for each
+// type. Bank questions store `answer` as option text (an array of it for
+// multi-select and ordering, a number for numeric); games store answers as
+// option indexes into their own shuffled order.
+
+export const QUESTION_TYPES = ['multiple-choice', 'true-false', 'multi-select', 'numeric', 'ordering'];
+
+export const DEFAULT_QUESTION_TYPE = 'multiple-choice';
+
+const TRUE_FALSE_OPTIONS = ['True', 'False'];
+
+export function getQuestionType(question) {
+  return question.type || DEFAULT_QUESTION_TYPE;
+}
+
+// Problems with a bank question as [field, message] pairs; empty when valid
+export function validateQuestion(question) {
+  const type = getQuestionType(question);
+  const options = question.options || [];
+  const { answer } = question;
+  const errors = [];
+  const hasDuplicates = new Set(options).size !== options.length;
+
+  if (!QUESTION_TYPES.includes(type)) {
+    return [['type', `type must be one of ${QUESTION_TYPES.join(', ')}`]];
+  }
+
+  if (type === 'numeric') {
+    if (typeof answer !== 'number' || !Number.isFinite(answer)) {
+      errors.push(['answer', 'answer must be a number']);
+    }
+    if (question.tolerance != null && !(question.tolerance >= 0)) {
+      errors.push(['tolerance', 'tolerance must be zero or more']);
+    }
+    return errors;
+  }
+
+  if (hasDuplicates) errors.push(['options', 'options must be unique']);
+
+  if (type === 'multiple-choice' || type === 'true-false') {
+    if (type === 'true-false' && options.length !== 2) {
+      errors.push(['options', 'true-false questions have exactly two options']);
+    }
+    if (options.length < 2) errors.push(['options', 'at least two options are required']);
+    if (!options.includes(answer)) errors.push(['answer', 'answer must be one of the options']);
+  } else if (type === 'multi-select') {
+    if (options.length < 3) errors.push(['options', 'multi-select questions need at least three options']);
+    if (!Array.isArray(answer) || answer.length === 0 || !answer.every(option => options.includes(option))) {
+      errors.push(['answer', 'answer must be a list of one or more of the options']);
+    } else if (new Set(answer).size !== answer.length) {
+      errors.push(['answer', 'answer must not repeat an option']);
+    }
+  } else if (type === 'ordering') {
+    if (options.length < 3) errors.push(['options', 'ordering questions need at least three options']);
+    if (!Array.isArray(answer) || answer.length !== options.length ||
+        new Set(answer).size !== answer.length || !answer.every(option => options.includes(option))) {
+      errors.push(['answer', 'answer must list every option once, in the correct order']);
+    }
+  }
+
+  return errors;
+}
+
+// Options a new question of this type starts with when none are given
+export function defaultOptions(type) {
+  return type === 'true-false' ? [...TRUE_FALSE_OPTIONS] : [];
+}
+
+// The answer of a bank question in game form: an option index, a list of
+// indexes (sorted for multi-select, in sequence for ordering) or a number
+export function correctAnswerOf(question) {
+  const { options, answer } = question;
+
+  switch (getQuestionType(question)) {
+    case 'numeric':
+      return answer;
+    case 'multi-select':
+      return answer.map(option => options.indexOf(option)).sort((a, b) => a - b);
+    case 'ordering':
+      return answer.map(option => options.indexOf(option));
+    default:
+      return options.indexOf(answer);
+  }
+}
+
+// Whether the options of this type can be shown in any order
+export function canShuffleOptions(type) {
+  return type !== 'true-false' && type !== 'numeric';
+}
+
+// Map a game-form answer through a change of option order, where
+// optionOrder[i] is the old index of the option now at position i
+export function remapAnswer(type, answer, optionOrder) {
+  if (type === 'numeric') return answer;
+  if (Array.isArray(answer)) {
+    const remapped = answer.map(index => optionOrder.indexOf(index));
+    return type === 'multi-select' ? remapped.sort((a, b) => a - b) : remapped;
+  }
+  return optionOrder.indexOf(answer);
+}
+
+// Resolve a single option given as its index or its text. Returns -1 when it
+// matches no option still on the board.
+function resolveOption(question, value) {
+  let index = typeof value === 'string' ? question.options.indexOf(value) : value;
+  if (index === -1 && typeof value === 'string' && value.trim() !== '') index = Number(value);
+
+  if (!Number.isInteger(index) || index < 0 || index >= question.options.length) return -1;
+  if (question.removedOptions && question.removedOptions.includes(index)) return -1;
+  return index;
+}
+
+// Normalise a submitted answer to game form for the question's type. Returns
+// null when the submission is not a valid answer to this question.
+export function resolveAnswer(question, answer) {
+  const type = getQuestionType(question);
+
+  if (type === 'numeric') {
+    const value = typeof answer === 'string' && answer.trim() !== '' ? Number(answer) : answer;
+    return typeof value === 'number' && Number.isFinite(value) ? value : null;
+  }
+
+  if (type === 'multi-select' || type === 'ordering') {
+    if (!Array.isArray(answer) || answer.length === 0) return null;
+
+    const indexes = answer.map(value => resolveOption(question, value));
+    if (indexes.includes(-1) || new Set(indexes).size !== indexes.length) return null;
+    if (type === 'ordering') {
+      return indexes.length === question.options.length ? indexes : null;
+    }
+    return indexes.sort((a, b) => a - b);
+  }
+
+  const index = resolveOption(question, answer);
+  return index === -1 ? null : index;
+}
+
+// Check a resolved answer against the question's correct answer
+export function isCorrectAnswer(question, answer) {
+  const type = getQuestionType(question);
+  const correct = question.correctAnswer;
+
+  if (type === 'numeric') {
+    return Math.abs(answer - correct) <= (question.tolerance || 0);
+  }
+  if (Array.isArray(correct)) {
+    return Array.isArray(answer) &&
+      answer.length === correct.length &&
+      answer.every((index, i) => index === correct[i]);
+  }
+  return answer === correct;
+}
+
+// Human-readable form of a game-form answer, also used to tally answers
+export function describeAnswer(question, answer) {
+  const type = getQuestionType(question);
+
+  if (type === 'numeric') return String(answer);
+  if (type === 'multi-select') return answer.map(index => question.options[index]).join(', ');
+  if (type === 'ordering') return answer.map(index => question.options[index]).join(' > ');
+  return question.options[answer];
+}
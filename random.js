@@ -0,0 +1,38 @@
+// Random helpers shared by question selection. Shuffles use Fisher-Yates,
+// since sorting with a random comparator is biased, and accept an optional
+// generator so a seeded one can reproduce the same order (daily challenges).
+
+// Hash a string seed into a 32-bit integer (FNV-1a)
+function hashSeed(seed) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < seed.length; i++) {
+    hash ^= seed.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// Seeded generator (mulberry32) returning floats in [0, 1), like Math.random
+export function createRng(seed) {
+  let state = hashSeed(String(seed));
+
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Shuffled copy of an array
+export function shuffle(items, random = Math.random) {
+  const result = [...items];
+
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+
+  return result;
+}
@@ -0,0 +1,60 @@
+// Elo-style skill ratings. Every answer is treated as a match between the
+// player and the question: answering correctly is a win for the player. Both
+// ratings move after each answer, and games use them to pick questions the
+// player has a suitable chance of getting right at each rung of the ladder.
+
+export const DEFAULT_RATING = 1500;
+
+// Starting rating of a question that has not been answered yet
+const DIFFICULTY_RATINGS = { easy: 1300, medium: 1500, hard: 1700 };
+
+// How far one answer moves each rating. Questions are answered by many
+// players, so each single answer counts for less.
+const PLAYER_K = 32;
+const QUESTION_K = 16;
+
+// Chance of a correct answer to aim for on the first and last rungs
+const FIRST_RUNG_TARGET = 0.85;
+const LAST_RUNG_TARGET = 0.35;
+
+// Pick among this many of the closest questions so games still vary
+const CLOSEST_CANDIDATES = 3;
+
+export function questionRating(question, ratings = new Map()) {
+  const id = question.id || question.questionId;
+  return ratings.get(id) ?? DIFFICULTY_RATINGS[question.difficulty || question.level] ?? DEFAULT_RATING;
+}
+
+// Probability that a player answers a question correctly
+export function expectedScore(playerRating, rating) {
+  return 1 / (1 + 10 ** ((rating - playerRating) / 400));
+}
+
+// Both ratings after an answer. They are kept unrounded so that the small
+// moves from expected results still add up.
+export function updateRatings(playerRating, rating, correct) {
+  const delta = (correct ? 1 : 0) - expectedScore(playerRating, rating);
+
+  return {
+    player: playerRating + PLAYER_K * delta,
+    question: rating - QUESTION_K * delta
+  };
+}
+
+// Chance of a correct answer a rung should offer: high at the bottom of the
+// ladder, falling steadily to the top
+export function targetWinProbability(rung, totalRungs) {
+  if (totalRungs <= 1) return FIRST_RUNG_TARGET;
+  return FIRST_RUNG_TARGET - (FIRST_RUNG_TARGET - LAST_RUNG_TARGET) * (rung / (totalRungs - 1));
+}
+
+// One of the candidates whose chance of being answered correctly is closest
+// to the target
+export function pickNearTarget(candidates, playerRating, target, ratings, random = Math.random) {
+  const closest = candidates
+    .map(question => ({ question, gap: Math.abs(expectedScore(playerRating, questionRating(question, ratings)) - target) }))
+    .sort((a, b) => a.gap - b.gap)
+    .slice(0, CLOSEST_CANDIDATES);
+
+  return closest[Math.floor(random() * closest.length)].question;
+}
@@ -0,0 +1,537 @@
+// Private quiz rooms for hosted live games. A logged-in host creates a room
+// from the question bank and gets a join code; guests join over a WebSocket at
+// /ws/rooms with the code and a nickname, no account needed. The host moves
+// the room from question to question and sees the scoreboard as answers come
+// in. Rooms live in memory; their final scoreboard is saved when they end.
+//
+// Connect with ?code=ABC123 and either &token= (the host), &nickname= (a new
+// player) or &playerId= (a player rejoining). Messages are JSON with a `type`.
+// From the host: { type: 'next' } to reveal the open question's answer or
+// serve the next one, { type: 'end' } to finish. From players:
+// { type: 'answer', questionNumber, answer }.
+
+import express from 'express';
+import crypto from 'crypto';
+import winston from 'winston';
+import { v4 as uuidv4 } from 'uuid';
+import { authenticateToken, verifyToken } from './auth.js';
+import { RoomResult } from './db/models.js';
+import { loadQuestionPool, selectGameQuestions, toSessionQuestion, prepareSessionQuestion } from './game.js';
+import { scoreAnswer } from './multiplayer.js';
+import { toPublicMedia } from './media.js';
+import { DEFAULT_LOCALE } from './i18n.js';
+import { parseCategories } from './categories.js';
+import { resolveAnswer, isCorrectAnswer } from './question-types.js';
+import { sendMessage, parseMessage, requestToken } from './websocket.js';
+
+const router = express.Router();
+
+// Configure logger
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'rooms' },
+  transports: [
+    new winston.transports.File({ filename: 'logs/error.log', level: 'error' }),
+    new winston.transports.File({ filename: 'logs/combined.log' })
+  ],
+});
+
+if (process.env.NODE_ENV !== 'production') {
+  logger.add(new winston.transports.Console({
+    format: winston.format.simple()
+  }));
+}
+
+export const ROOMS_PATH = '/ws/rooms';
+
+// Join codes leave out characters that are easy to misread, like 0/O and 1/I
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 6;
+
+const DEFAULT_ROOM_QUESTIONS = 10;
+const MAX_ROOM_QUESTIONS = 50;
+const DEFAULT_ROOM_TIME_LIMIT = 20;
+const MIN_ROOM_TIME_LIMIT = 5;
+const MAX_ROOM_TIME_LIMIT = 120;
+const MAX_ROOM_PLAYERS = 100;
+const MAX_NICKNAME_LENGTH = 20;
+
+// Extra time allowed past the limit to absorb network latency
+const ANSWER_GRACE_MS = 1000;
+
+// Rooms nobody has used for this long are closed
+const ROOM_IDLE_MINUTES = 60;
+const ROOM_SWEEP_MS = 5 * 60 * 1000;
+
+// Rooms being played, by join code
+const rooms = new Map();
+
+function generateCode() {
+  let code;
+  do {
+    code = Array.from({ length: CODE_LENGTH }, () => CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)]).join('');
+  } while (rooms.has(code));
+  return code;
+}
+
+function findRoom(code) {
+  return rooms.get(String(code || '').trim().toUpperCase()) || null;
+}
+
+// Easy, medium and hard questions in a 3:4:3 split, like a practice game
+function roomDifficultyMix(count) {
+  const easy = Math.round(count * 0.3);
+  const hard = Math.round(count * 0.3);
+  return { easy, medium: count - easy - hard, hard };
+}
+
+// Whole number within [min, max] from a request value, the fallback when it
+// is missing, or null when it is invalid
+function parseRange(value, fallback, min, max) {
+  if (value === undefined || value === null) return fallback;
+  const number = Number(value);
+  return Number.isInteger(number) && number >= min && number <= max ? number : null;
+}
+
+// Client-facing view of a room question, without the answer
+function toPublicRoomQuestion(q) {
+  return {
+    id: q.questionId,
+    question: q.question,
+    type: q.type,
+    options: q.options,
+    media: toPublicMedia(q.media),
+    level: q.level,
+    category: q.category
+  };
+}
+
+function players(room) {
+  return [...room.players.values()];
+}
+
+// Players by score, highest first; tied scores share a rank
+function scoreboard(room) {
+  const sorted = players(room).sort((a, b) => b.score - a.score || a.nickname.localeCompare(b.nickname));
+
+  return sorted.map((player, index) => ({
+    rank: sorted.findIndex(other => other.score === player.score) + 1,
+    nickname: player.nickname,
+    score: player.score,
+    correctAnswers: player.correctAnswers,
+    connected: Boolean(player.socket),
+    ...(room.round ? { answered: room.round.answers.has(player.id) } : {})
+  }));
+}
+
+function sendToPlayers(room, message) {
+  players(room).forEach(player => sendMessage(player.socket, message));
+}
+
+function sendScoreboard(room) {
+  sendMessage(room.hostSocket, {
+    type: 'scoreboard',
+    status: room.status,
+    questionNumber: room.current + 1,
+    players: scoreboard(room)
+  });
+}
+
+function touch(room) {
+  room.lastActivityAt = Date.now();
+}
+
+// Put the next question in front of every player, or end the room after the last one
+function serveQuestion(room) {
+  room.current += 1;
+  if (room.current >= room.questions.length) {
+    return finishRoom(room, 'completed');
+  }
+
+  const question = room.questions[room.current];
+  room.status = 'question';
+  room.round = { servedAt: Date.now(), answers: new Map() };
+
+  const message = {
+    type: 'question',
+    questionNumber: room.current + 1,
+    totalQuestions: room.questions.length,
+    question: toPublicRoomQuestion(question),
+    timeLimit: room.timeLimit,
+    servedAt: new Date(room.round.servedAt)
+  };
+  sendToPlayers(room, message);
+  sendMessage(room.hostSocket, message);
+  sendScoreboard(room);
+
+  room.timer = setTimeout(() => closeRound(room), room.timeLimit * 1000 + ANSWER_GRACE_MS);
+}
+
+// Score the open question and show everyone how they did
+function closeRound(room) {
+  if (room.status !== 'question') return;
+  clearTimeout(room.timer);
+
+  const question = room.questions[room.current];
+  const { answers } = room.round;
+  room.round = null;
+  room.status = 'reveal';
+  room.played.push({ questionId: question.questionId, questionNumber: room.current + 1 });
+
+  players(room).forEach(player => {
+    const result = answers.get(player.id);
+    if (result) {
+      player.score += result.points;
+      if (result.isCorrect) player.correctAnswers += 1;
+    }
+  });
+
+  const board = scoreboard(room);
+  players(room).forEach(player => {
+    const result = answers.get(player.id);
+    sendMessage(player.socket, {
+      type: 'round-result',
+      questionNumber: room.current + 1,
+      correctAnswer: question.correctAnswer,
+      explanation: question.explanation || null,
+      answer: result ? result.answer : null,
+      correct: Boolean(result && result.isCorrect),
+      points: result ? result.points : 0,
+      score: player.score,
+      rank: board.find(entry => entry.nickname === player.nickname).rank
+    });
+  });
+
+  sendMessage(room.hostSocket, {
+    type: 'round-result',
+    questionNumber: room.current + 1,
+    correctAnswer: question.correctAnswer,
+    explanation: question.explanation || null,
+    answered: answers.size,
+    correctCount: [...answers.values()].filter(result => result.isCorrect).length,
+    players: board
+  });
+}
+
+// End a room, save its scoreboard if any question was played and let
+// everyone know. The room's code is free to use again afterwards.
+async function finishRoom(room, status) {
+  if (room.status === 'finished') return;
+  clearTimeout(room.timer);
+  room.status = 'finished';
+  room.round = null;
+  rooms.delete(room.code);
+
+  const board = scoreboard(room);
+  let resultId = null;
+
+  if (room.played.length > 0) {
+    try {
+      const result = await RoomResult.create({
+        code: room.code,
+        hostId: room.hostId,
+        hostUsername: room.hostUsername,
+        questions: room.played,
+        players: board.map(({ rank, nickname, score, correctAnswers }) => ({ rank, nickname, score, correctAnswers })),
+        status,
+        createdAt: room.createdAt,
+        completedAt: new Date()
+      });
+      resultId = result._id;
+    } catch (error) {
+      logger.error(`Error saving result of room ${room.code}:`, error);
+    }
+  }
+
+  logger.info(`Room ${room.code} ${status} after ${room.played.length} questions with ${board.length} players`);
+
+  const message = { type: 'room-end', status, resultId, players: board };
+  [room.hostSocket, ...players(room).map(player => player.socket)]
+    .filter(Boolean)
+    .forEach(socket => {
+      sendMessage(socket, message);
+      socket.close(1000, 'Room ended');
+    });
+}
+
+function handleHostMessage(room, socket, data) {
+  const message = parseMessage(socket, data);
+  if (!message) return;
+  touch(room);
+
+  switch (message.type) {
+    case 'next':
+      return room.status === 'question' ? closeRound(room) : serveQuestion(room);
+    case 'end':
+      return finishRoom(room, 'completed');
+    default:
+      return sendMessage(socket, { type: 'error', error: 'Unknown message type' });
+  }
+}
+
+function handleAnswer(room, player, message) {
+  const { socket } = player;
+  if (room.status !== 'question') {
+    return sendMessage(socket, { type: 'error', error: 'No question to answer' });
+  }
+
+  const questionNumber = room.current + 1;
+  if (Number(message.questionNumber) !== questionNumber) {
+    return sendMessage(socket, { type: 'error', error: 'Answer does not match the current question', questionNumber });
+  }
+  if (room.round.answers.has(player.id)) {
+    return sendMessage(socket, { type: 'error', error: 'You have already answered this question' });
+  }
+
+  const question = room.questions[room.current];
+  const answer = resolveAnswer(question, message.answer);
+  if (answer === null) {
+    return sendMessage(socket, { type: 'error', error: `answer is not a valid ${question.type} answer` });
+  }
+
+  const responseTime = Date.now() - room.round.servedAt;
+  if (responseTime > room.timeLimit * 1000 + ANSWER_GRACE_MS) {
+    return sendMessage(socket, { type: 'error', error: 'Time is up for this question' });
+  }
+
+  const isCorrect = isCorrectAnswer(question, answer);
+  room.round.answers.set(player.id, {
+    answer,
+    isCorrect,
+    responseTime,
+    points: scoreAnswer(isCorrect, responseTime, room.timeLimit)
+  });
+
+  sendMessage(socket, { type: 'answer-received', questionNumber });
+  sendScoreboard(room);
+
+  // No need to wait out the clock once everyone still here has answered
+  if (players(room).every(p => !p.socket || room.round.answers.has(p.id))) {
+    closeRound(room);
+  }
+}
+
+function handlePlayerMessage(room, player, data) {
+  const message = parseMessage(player.socket, data);
+  if (!message) return;
+  touch(room);
+
+  if (message.type === 'answer') {
+    return handleAnswer(room, player, message);
+  }
+  sendMessage(player.socket, { type: 'error', error: 'Unknown message type' });
+}
+
+function connectHost(room, socket) {
+  if (room.hostSocket) {
+    room.hostSocket.close(4000, 'Host connected elsewhere');
+  }
+  room.hostSocket = socket;
+
+  sendMessage(socket, {
+    type: 'room',
+    code: room.code,
+    status: room.status,
+    totalQuestions: room.questions.length,
+    timeLimit: room.timeLimit
+  });
+  sendScoreboard(room);
+
+  socket.on('message', data => handleHostMessage(room, socket, data));
+  socket.on('close', () => {
+    if (room.hostSocket === socket) room.hostSocket = null;
+  });
+}
+
+function connectPlayer(room, socket, { playerId, nickname }) {
+  let player = playerId && room.players.get(playerId);
+
+  if (!player) {
+    if (isNicknameTaken(room, nickname)) {
+      sendMessage(socket, { type: 'error', error: 'That nickname is already taken' });
+      return socket.close(4009, 'Nickname taken');
+    }
+    player = { id: uuidv4(), nickname, score: 0, correctAnswers: 0, socket: null };
+    room.players.set(player.id, player);
+  } else if (player.socket) {
+    player.socket.close(4000, 'Player connected elsewhere');
+  }
+  player.socket = socket;
+
+  sendMessage(socket, {
+    type: 'joined',
+    code: room.code,
+    playerId: player.id,
+    nickname: player.nickname,
+    status: room.status,
+    totalQuestions: room.questions.length,
+    score: player.score
+  });
+
+  // Late joiners and rejoining players pick up the open question
+  if (room.status === 'question' && !room.round.answers.has(player.id)) {
+    sendMessage(socket, {
+      type: 'question',
+      questionNumber: room.current + 1,
+      totalQuestions: room.questions.length,
+      question: toPublicRoomQuestion(room.questions[room.current]),
+      timeLimit: room.timeLimit,
+      servedAt: new Date(room.round.servedAt)
+    });
+  }
+  sendScoreboard(room);
+
+  socket.on('message', data => handlePlayerMessage(room, player, data));
+  socket.on('close', () => {
+    if (player.socket !== socket) return;
+    player.socket = null;
+    // Leaving the lobby frees the nickname; once the quiz is on, scores are kept
+    if (room.status === 'lobby') room.players.delete(player.id);
+    if (room.status !== 'finished') sendScoreboard(room);
+  });
+}
+
+function isNicknameTaken(room, nickname) {
+  return players(room).some(player => player.nickname.toLowerCase() === nickname.toLowerCase());
+}
+
+// Room endpoint for attachWebSockets. The host is recognised by their login
+// token; players only need a nickname, or the playerId they were given to rejoin.
+export const roomsEndpoint = {
+  accept(req, url) {
+    const room = findRoom(url.searchParams.get('code'));
+    if (!room || room.status === 'finished') return { reject: 404 };
+
+    const token = requestToken(req, url);
+    if (token) {
+      const user = verifyToken(token);
+      if (!user) return { reject: 401 };
+      if (String(user.id) === room.hostId) return { room, host: true };
+    }
+
+    const playerId = url.searchParams.get('playerId');
+    if (playerId && room.players.has(playerId)) return { room, playerId };
+
+    const nickname = String(url.searchParams.get('nickname') || '').trim();
+    if (!nickname || nickname.length > MAX_NICKNAME_LENGTH) return { reject: 400 };
+    if (isNicknameTaken(room, nickname)) return { reject: 409 };
+    if (room.players.size >= MAX_ROOM_PLAYERS) return { reject: 403 };
+
+    return { room, nickname };
+  },
+
+  connection(socket, { room, host, ...player }) {
+    touch(room);
+    socket.on('error', error => logger.error('WebSocket error:', error));
+
+    if (host) {
+      connectHost(room, socket);
+    } else {
+      connectPlayer(room, socket, player);
+    }
+  }
+};
+
+// Close rooms that have been left idle
+setInterval(() => {
+  const cutoff = Date.now() - ROOM_IDLE_MINUTES * 60 * 1000;
+  rooms.forEach(room => {
+    if (room.lastActivityAt < cutoff) finishRoom(room, 'expired');
+  });
+}, ROOM_SWEEP_MS).unref();
+
+// API: Create a room from chosen questions (`questionIds`) or a draw from the
+// bank (`questionCount` and optional `categories`) and get its join code
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const { questionIds } = req.body;
+    const questionCount = parseRange(req.body.questionCount, DEFAULT_ROOM_QUESTIONS, 1, MAX_ROOM_QUESTIONS);
+    const timeLimit = parseRange(req.body.timeLimit, DEFAULT_ROOM_TIME_LIMIT, MIN_ROOM_TIME_LIMIT, MAX_ROOM_TIME_LIMIT);
+    const categories = parseCategories(req.body.categories ?? req.body.category);
+
+    if (questionCount === null) {
+      return res.status(400).json({ error: `questionCount must be a whole number from 1 to ${MAX_ROOM_QUESTIONS}` });
+    }
+    if (timeLimit === null) {
+      return res.status(400).json({ error: `timeLimit must be a whole number of seconds from ${MIN_ROOM_TIME_LIMIT} to ${MAX_ROOM_TIME_LIMIT}` });
+    }
+    if (!categories) {
+      return res.status(400).json({ error: 'Unknown category' });
+    }
+
+    const pool = await loadQuestionPool();
+    let selected;
+
+    if (questionIds !== undefined) {
+      if (!Array.isArray(questionIds) || questionIds.length === 0 || questionIds.length > MAX_ROOM_QUESTIONS) {
+        return res.status(400).json({ error: `questionIds must list 1 to ${MAX_ROOM_QUESTIONS} question ids` });
+      }
+
+      const byId = new Map(pool.map(q => [q.id, q]));
+      const unknown = questionIds.filter(id => !byId.has(id));
+      if (unknown.length > 0) {
+        return res.status(400).json({ error: 'Unknown question ids', questionIds: unknown });
+      }
+      selected = [...new Set(questionIds)].map(id => byId.get(id));
+    } else {
+      selected = selectGameQuestions(pool, roomDifficultyMix(questionCount), { categories });
+    }
+
+    if (selected.length === 0) {
+      return res.status(409).json({ error: 'No questions available for this room' });
+    }
+
+    const room = {
+      code: generateCode(),
+      hostId: String(req.user.id),
+      hostUsername: req.user.username,
+      hostSocket: null,
+      questions: selected.map(q => prepareSessionQuestion(toSessionQuestion(q), DEFAULT_LOCALE)),
+      timeLimit,
+      players: new Map(),
+      status: 'lobby',
+      current: -1,
+      round: null,
+      timer: null,
+      played: [],
+      createdAt: new Date(),
+      lastActivityAt: Date.now()
+    };
+    rooms.set(room.code, room);
+
+    logger.info(`Room ${room.code} created by ${room.hostUsername} with ${room.questions.length} questions`);
+
+    res.status(201).json({
+      code: room.code,
+      totalQuestions: room.questions.length,
+      timeLimit,
+      socketPath: ROOMS_PATH
+    });
+  } catch (error) {
+    logger.error('Error creating room:', error);
+    res.status(500).json({ error: 'Server error creating room' });
+  }
+});
+
+// API: Look up a room by join code before joining it
+router.get('/:code', (req, res) => {
+  const room = findRoom(req.params.code);
+  if (!room) {
+    return res.status(404).json({ error: 'Room not found' });
+  }
+
+  res.json({
+    code: room.code,
+    host: room.hostUsername,
+    status: room.status,
+    totalQuestions: room.questions.length,
+    playerCount: room.players.size
+  });
+});
+
+export default router;
@@ -0,0 +1,42 @@
+// Spaced repetition with the SM-2 algorithm. Each review is graded from 0
+// (complete blackout) to 5 (perfect recall); a grade of 3 or more counts as
+// remembered and pushes the next review further out, anything lower starts
+// the question over at a one-day interval.
+
+export const DEFAULT_EASE_FACTOR = 2.5;
+const MIN_EASE_FACTOR = 1.3;
+
+// Grades given to review answers: there is no self-assessment, so a correct
+// answer counts as recalled with some effort and a wrong one as forgotten
+export const CORRECT_GRADE = 4;
+export const MISSED_GRADE = 1;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// The next schedule for a question after a review graded `grade`
+export function scheduleReview({ easeFactor = DEFAULT_EASE_FACTOR, interval = 0, repetitions = 0 }, grade, now = new Date()) {
+  let nextInterval;
+  let nextRepetitions;
+
+  if (grade >= 3) {
+    nextRepetitions = repetitions + 1;
+    if (nextRepetitions === 1) nextInterval = 1;
+    else if (nextRepetitions === 2) nextInterval = 6;
+    else nextInterval = Math.round(interval * easeFactor);
+  } else {
+    nextRepetitions = 0;
+    nextInterval = 1;
+  }
+
+  const nextEaseFactor = Math.max(
+    MIN_EASE_FACTOR,
+    easeFactor + (0.1 - (5 - grade) * (0.08 + (5 - grade) * 0.02))
+  );
+
+  return {
+    easeFactor: Math.round(nextEaseFactor * 100) / 100,
+    interval: nextInterval,
+    repetitions: nextRepetitions,
+    dueAt: new Date(now.getTime() + nextInterval * DAY_MS)
+  };
+}
@@ -1,10 +1,16 @@
 import express from 'express';
+import mongoose from 'mongoose';
 import winston from 'winston';
 import { authenticateToken } from './auth.js';
-import { User, Stats } from './db/models.js';
+import { User, Stats, GameSession } from './db/models.js';
+import { normalizeLocale } from './i18n.js';
+import { toGameSummary, toGameReplay } from './game.js';
 
 const router = express.Router();
 
+const DEFAULT_GAMES_PAGE_SIZE = 20;
+const MAX_GAMES_PAGE_SIZE = 50;
+
 // Configure logger
 const logger = winston.createLogger({
   level: process.env.LOG_LEVEL || 'info',
@@ -44,6 +50,10 @@ router.get('/profile', authenticateToken, async (req, res) => {
         id: user._id,
         username: user.username,
         email: user.email,
+        language: user.language || null,
+        privacy: user.privacy,
+        rating: Math.round(user.rating),
+        ratedAnswers: user.ratedAnswers,
         createdAt: user.createdAt,
         lastActivity: user.lastActivity
       },
@@ -68,7 +78,7 @@ router.get('/profile', authenticateToken, async (req, res) => {
 router.patch('/profile', authenticateToken, async (req, res) => {
   try {
     const userId = req.user.id;
-    const { username } = req.body;
+    const { username, language, privacy } = req.body;
     
     const user = await User.findById(userId);
     if (!user) {
@@ -83,6 +93,24 @@ router.patch('/profile', authenticateToken, async (req, res) => {
       }
       user.username = username;
     }
+
+    // Preferred language for questions and messages; null goes back to
+    // following the client's Accept-Language
+    if (language !== undefined) {
+      const locale = language === null ? null : normalizeLocale(language);
+      if (language !== null && !locale) {
+        return res.status(400).json({ message: 'language must be a language code such as en or es' });
+      }
+      user.language = locale;
+    }
+
+    // 'friends' keeps the player's games to their friends (see friends.js)
+    if (privacy !== undefined) {
+      if (!['public', 'friends'].includes(privacy)) {
+        return res.status(400).json({ message: 'privacy must be public or friends' });
+      }
+      user.privacy = privacy;
+    }
     
     await user.save();
     
@@ -91,7 +119,9 @@ router.patch('/profile', authenticateToken, async (req, res) => {
       user: {
         id: user._id,
         username: user.username,
-        email: user.email
+        email: user.email,
+        language: user.language || null,
+        privacy: user.privacy
       }
     });
   } catch (error) {
@@ -100,4 +130,60 @@ router.patch('/profile', authenticateToken, async (req, res) => {
   }
 });
 
+// Positive whole number from a query parameter, or the fallback
+function parsePositiveInt(value, fallback) {
+  const number = Number(value);
+  return Number.isInteger(number) && number > 0 ? number : fallback;
+}
+
+// Get the player's finished games, most recent first (?page=&limit=)
+router.get('/games', authenticateToken, async (req, res) => {
+  try {
+    const page = parsePositiveInt(req.query.page, 1);
+    const limit = Math.min(parsePositiveInt(req.query.limit, DEFAULT_GAMES_PAGE_SIZE), MAX_GAMES_PAGE_SIZE);
+    const filter = { userId: String(req.user.id), status: { $ne: 'in_progress' } };
+
+    const [sessions, total] = await Promise.all([
+      GameSession.find(filter)
+        .sort({ completedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      GameSession.countDocuments(filter)
+    ]);
+
+    res.json({
+      games: sessions.map(toGameSummary),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    logger.error('Game history fetch error:', error);
+    res.status(500).json({ message: 'Server error fetching game history' });
+  }
+});
+
+// Get a finished game answer by answer
+router.get('/games/:id', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const session = mongoose.Types.ObjectId.isValid(id)
+      ? await GameSession.findOne({ _id: id, userId: String(req.user.id) })
+      : null;
+
+    // Games still being played are resumed, not replayed
+    if (!session || session.status === 'in_progress') {
+      return res.status(404).json({ message: 'Game not found' });
+    }
+
+    res.json({ game: toGameReplay(session) });
+  } catch (error) {
+    logger.error('Game replay fetch error:', error);
+    res.status(500).json({ message: 'Server error fetching game' });
+  }
+});
+
 export default router;
\ No newline at end of file
@@ -0,0 +1,75 @@
+// WebSocket endpoints sharing the HTTP server. Each endpoint is keyed by path
+// and has accept(req, url), which returns the new connection's context or
+// { reject: statusCode } to refuse the upgrade, and connection(socket, context)
+// to set up an accepted socket.
+
+import http from 'http';
+import { WebSocketServer, WebSocket } from 'ws';
+
+// How often to ping connections and drop the ones that stopped answering
+const HEARTBEAT_MS = 30 * 1000;
+
+export function sendMessage(socket, message) {
+  if (socket && socket.readyState === WebSocket.OPEN) {
+    socket.send(JSON.stringify(message));
+  }
+}
+
+// Parse a client message, telling the client when it is not JSON
+export function parseMessage(socket, data) {
+  try {
+    const message = JSON.parse(data);
+    if (message && typeof message === 'object') return message;
+  } catch {
+    // Fall through to the error below
+  }
+  sendMessage(socket, { type: 'error', error: 'Messages must be JSON objects' });
+  return null;
+}
+
+// Login token from the `token` query parameter (browsers cannot set headers
+// on a WebSocket) or an Authorization header
+export function requestToken(req, url) {
+  const authHeader = req.headers.authorization;
+  return url.searchParams.get('token') || (authHeader && authHeader.split(' ')[1]);
+}
+
+function rejectUpgrade(socket, status) {
+  socket.write(`HTTP/1.1 ${status} ${http.STATUS_CODES[status]}\r\nConnection: close\r\n\r\n`);
+  socket.destroy();
+}
+
+export function attachWebSockets(server, endpoints) {
+  const wss = new WebSocketServer({ noServer: true });
+
+  server.on('upgrade', (req, socket, head) => {
+    const url = new URL(req.url, 'http://localhost');
+    const endpoint = endpoints[url.pathname];
+    if (!endpoint) {
+      return rejectUpgrade(socket, 404);
+    }
+
+    const context = endpoint.accept(req, url);
+    if (context.reject) {
+      return rejectUpgrade(socket, context.reject);
+    }
+
+    wss.handleUpgrade(req, socket, head, ws => {
+      ws.isAlive = true;
+      ws.on('pong', () => { ws.isAlive = true; });
+      endpoint.connection(ws, context);
+    });
+  });
+
+  const heartbeat = setInterval(() => {
+    wss.clients.forEach(ws => {
+      if (!ws.isAlive) return ws.terminate();
+      ws.isAlive = false;
+      ws.ping();
+    });
+  }, HEARTBEAT_MS);
+  heartbeat.unref();
+  wss.on('close', () => clearInterval(heartbeat));
+
+  return wss;
+}